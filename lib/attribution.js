@@ -0,0 +1,56 @@
+// lib/attribution.js
+// Source lists for /chat responses and the instructor-only claim marking mode
+// (its instructions are the attribution.<lang> prompt templates).
+
+const PREVIEW_CHARS = 240;
+
+const round = (x) => Number((x || 0).toFixed(4));
+
+/** Shape retriever hits into the `sources` array returned by /chat */
+export function shapeSources(hits) {
+  return (hits || []).map((h, i) => ({
+    ref: i + 1, // matches "#n" in the KB context and [#n] claim markers
+    id: h.id,
+    ids: h.ids || [h.id], // several when adjacent chunks were merged
+    source: h.source,
+    section: h.section || [],
+    scores: { hybrid: round(h.score), kw: round(h.kw), sem: round(h.sem) },
+    preview: h.text.length > PREVIEW_CHARS ? h.text.slice(0, PREVIEW_CHARS) + "…" : h.text,
+  }));
+}
+
+const MARKER_RE = /\s*\[(#\d+(?:\s*,\s*#\d+)*)\]/g;
+
+/** Remove [#n] markers so the stored/student-facing text stays clean */
+export function stripMarkers(text) {
+  return text.replace(MARKER_RE, "");
+}
+
+/**
+ * Split a marked-up answer into claims. A claim is a sentence (or line);
+ * its refs are the chunk numbers it cites. Claims with no valid ref
+ * (no marker, only [#0], or a number outside 1..sourceCount) are unsupported.
+ */
+export function parseAttributedAnswer(text, sourceCount) {
+  const claims = [];
+  const pieces = text
+    .split(/\n+/)
+    .flatMap((line) => line.split(/(?<=[.!?…]\s*(?:\[[#\d,\s]+\])?)\s+(?=[^\s[])/u));
+
+  for (const piece of pieces) {
+    const sentence = piece.trim();
+    if (!sentence) continue;
+    const refs = [];
+    for (const m of sentence.matchAll(MARKER_RE)) {
+      for (const r of m[1].split(",")) refs.push(Number(r.trim().slice(1)));
+    }
+    const valid = [...new Set(refs)].filter((r) => r >= 1 && r <= sourceCount);
+    claims.push({ text: stripMarkers(sentence).trim(), refs: valid, supported: valid.length > 0 });
+  }
+
+  return {
+    answer: stripMarkers(text),
+    claims,
+    unsupported: claims.filter((c) => !c.supported).length,
+  };
+}
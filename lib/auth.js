@@ -0,0 +1,75 @@
+// lib/auth.js
+// Signed per-user tokens: compact HS256 JWTs carrying { sub, site, role },
+// verifiable offline with the shared AUTH_SECRET (no auth server round-trip).
+import crypto from "crypto";
+
+export const ROLES = ["student", "instructor", "admin"];
+
+export class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TokenError";
+  }
+}
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const decodePart = (part) => JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/**
+ * claims: { sub, site?, role? }; `ttlSeconds` (default 30 days) sets `exp`.
+ * Returns "header.payload.signature".
+ */
+export function signToken(claims, secret, { ttlSeconds = 30 * 24 * 3600 } = {}) {
+  if (!secret) throw new TokenError("No signing secret");
+  if (!claims?.sub) throw new TokenError("Token needs a subject (sub)");
+  const role = claims.role || "student";
+  if (!ROLES.includes(role)) throw new TokenError(`Unknown role: ${role}`);
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(
+    JSON.stringify({ ...claims, role, iat: now, ...(ttlSeconds ? { exp: now + ttlSeconds } : {}) })
+  );
+  return `${header}.${payload}.${hmac(secret, `${header}.${payload}`)}`;
+}
+
+/** Returns the claims of a valid token, throws TokenError otherwise */
+export function verifyToken(token, secret) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new TokenError("Malformed token");
+  const [header, payload, signature] = parts;
+
+  let head;
+  let claims;
+  try {
+    head = decodePart(header);
+    claims = decodePart(payload);
+  } catch {
+    throw new TokenError("Malformed token");
+  }
+  if (head.alg !== "HS256") throw new TokenError(`Unsupported algorithm: ${head.alg}`);
+
+  const expected = Buffer.from(hmac(secret, `${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new TokenError("Bad signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp && now >= claims.exp) throw new TokenError("Token expired");
+  if (claims.nbf && now < claims.nbf) throw new TokenError("Token not yet valid");
+  if (!claims.sub) throw new TokenError("Token has no subject");
+  if (!ROLES.includes(claims.role)) throw new TokenError(`Unknown role: ${claims.role}`);
+  return claims;
+}
+
+/** Constant-time string comparison for the legacy shared token */
+export function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
@@ -0,0 +1,177 @@
+// lib/chunker.js
+// Structure-aware chunker for Hungarian course material: keeps headings as
+// section metadata and cuts on paragraph / sentence boundaries.
+
+export const CHUNK_DEFAULTS = {
+  minSize: 500,    // don't close a chunk below this many chars (unless section ends)
+  targetSize: 900, // close the chunk once it reaches this size
+  maxSize: 1300,   // never exceed; longer paragraphs are split by sentence
+  overlapSentences: 1, // sentences carried over into the next chunk of the same section
+};
+
+const MD_HEADING_RE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+/** ALL-CAPS line such as "BEVEZETÉS" or "FŐZETEK ÉS HOSSZÚ FŐZETEK" */
+function isCapsHeading(line) {
+  const s = line.trim();
+  if (!s || s.length > 80) return false;
+  if (!/\p{L}{3}/u.test(s)) return false;
+  return s === s.toLocaleUpperCase("hu") && s !== s.toLocaleLowerCase("hu");
+}
+
+/**
+ * Split on sentence ends (. ! ? …) followed by whitespace and an uppercase
+ * letter, digit or opening quote. Keeps abbreviations like "pl. a" together.
+ */
+export function splitSentences(text) {
+  const parts = text.split(/(?<=[.!?…])\s+(?=[\p{Lu}\d„"(])/u);
+  return parts.map((s) => s.trim()).filter(Boolean);
+}
+
+/** Last resort for a single over-long sentence: cut on whitespace */
+function splitWords(sentence, maxSize) {
+  const out = [];
+  let cur = "";
+  for (const w of sentence.split(/\s+/)) {
+    if (cur && cur.length + 1 + w.length > maxSize) {
+      out.push(cur);
+      cur = w;
+    } else {
+      cur = cur ? `${cur} ${w}` : w;
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+/**
+ * Parse text into blocks: { type: "heading", level, title } or
+ * { type: "para", text, start } (start = char offset in the source).
+ */
+function parseBlocks(text) {
+  const hasMarkdown = text.split("\n").some((l) => MD_HEADING_RE.test(l));
+  const blocks = [];
+  let para = [];
+  let paraStart = 0;
+  let offset = 0;
+
+  const flush = () => {
+    if (para.length) blocks.push({ type: "para", text: para.join("\n"), start: paraStart });
+    para = [];
+  };
+
+  for (const line of text.split("\n")) {
+    const trimmed = line.trim();
+    const md = trimmed.match(MD_HEADING_RE);
+    if (md) {
+      flush();
+      blocks.push({ type: "heading", level: md[1].length, title: md[2] });
+    } else if (!hasMarkdown && isCapsHeading(trimmed)) {
+      flush();
+      blocks.push({ type: "heading", level: 1, title: trimmed });
+    } else if (!trimmed) {
+      flush();
+    } else {
+      if (!para.length) paraStart = offset;
+      para.push(trimmed);
+    }
+    offset += line.length + 1;
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Chunk a document. Returns
+ *   [{ text, section: ["BEVEZETÉS"], position: { index, start, end } }]
+ * where start/end are approximate char offsets into the source text.
+ * Chunks never cross a heading.
+ */
+export function chunkDocument(text, opts = {}) {
+  const { minSize, targetSize, maxSize, overlapSentences } = { ...CHUNK_DEFAULTS, ...opts };
+  const chunks = [];
+  const sectionStack = []; // [{ level, title }]
+
+  let units = []; // [{ text, sep }] sentences/paragraphs of the chunk being built
+  let size = 0;
+  let start = 0;
+  let end = 0;
+  let hasNew = false; // false while `units` only holds carried-over overlap
+
+  const currentSection = () => sectionStack.map((s) => s.title);
+
+  const emit = ({ carry }) => {
+    if (!hasNew) return;
+    chunks.push({
+      text: units.map((u, i) => (i ? u.sep : "") + u.text).join(""),
+      section: currentSection(),
+      position: { index: chunks.length, start, end },
+    });
+    const kept = carry && overlapSentences > 0
+      ? splitSentences(units[units.length - 1].text).slice(-overlapSentences)
+      : [];
+    units = kept.filter((s) => s.length < minSize).map((s) => ({ text: s, sep: " " }));
+    size = units.reduce((a, u) => a + u.text.length + u.sep.length, 0);
+    start = end - size;
+    hasNew = false;
+  };
+
+  const add = (unit, unitStart, sep) => {
+    if (!units.length) start = unitStart;
+    if (size && size + unit.length > maxSize) {
+      emit({ carry: true });
+      if (!units.length) start = unitStart;
+    }
+    units.push({ text: unit, sep });
+    hasNew = true;
+    size += unit.length + sep.length;
+    end = unitStart + unit.length;
+    if (size >= targetSize) emit({ carry: true });
+  };
+
+  for (const block of parseBlocks(text)) {
+    if (block.type === "heading") {
+      emit({ carry: false });
+      units = [];
+      size = 0;
+      hasNew = false;
+      while (sectionStack.length && sectionStack[sectionStack.length - 1].level >= block.level) {
+        sectionStack.pop();
+      }
+      sectionStack.push({ level: block.level, title: block.title });
+      continue;
+    }
+
+    if (block.text.length <= maxSize) {
+      add(block.text, block.start, "\n\n");
+      continue;
+    }
+
+    // Oversized paragraph: fall back to sentences, then words
+    let cursor = block.start;
+    let sep = "\n\n";
+    for (const sentence of splitSentences(block.text)) {
+      const pieces = sentence.length > maxSize ? splitWords(sentence, maxSize) : [sentence];
+      for (const p of pieces) {
+        add(p, cursor, sep);
+        cursor += p.length + 1;
+        sep = " ";
+      }
+    }
+  }
+  emit({ carry: false });
+
+  // Tiny trailing chunks are merged into their predecessor when in the same section
+  for (let i = chunks.length - 1; i > 0; i--) {
+    const c = chunks[i];
+    const prev = chunks[i - 1];
+    const sameSection = c.section.join("\u0000") === prev.section.join("\u0000");
+    if (sameSection && c.text.length < minSize / 2 && prev.text.length + c.text.length <= maxSize) {
+      prev.text = `${prev.text}\n\n${c.text}`;
+      prev.position.end = c.position.end;
+      chunks.splice(i, 1);
+    }
+  }
+  chunks.forEach((c, i) => { c.position.index = i; });
+  return chunks;
+}
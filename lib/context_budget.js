@@ -0,0 +1,108 @@
+// lib/context_budget.js
+// Assemble the /chat prompt within a token budget split between the system
+// prompt, KB context and conversation history.
+
+// No tokenizer dependency: ~3.5 chars per token is close enough for
+// Hungarian/English text with the OpenAI tokenizers (slightly pessimistic).
+const CHARS_PER_TOKEN = 3.5;
+const MESSAGE_OVERHEAD = 4; // role + separators per message
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+function messageTokens(m) {
+  return estimateTokens(m.content) + MESSAGE_OVERHEAD;
+}
+
+const sumTokens = (msgs) => msgs.reduce((n, m) => n + messageTokens(m), 0);
+
+/**
+ * PROMPT_BUDGET_TOKENS  total input budget (default 8000)
+ * PROMPT_BUDGET_SPLIT   "system,kb,history" percentages (default "25,50,25")
+ */
+export function budgetFromEnv(env = process.env) {
+  const total = Number(env.PROMPT_BUDGET_TOKENS || 8000);
+  const parts = String(env.PROMPT_BUDGET_SPLIT || "25,50,25").split(",").map(Number);
+  const [system, kb, history] = parts.length === 3 && parts.every((p) => p >= 0) ? parts : [25, 50, 25];
+  const sum = system + kb + history || 1;
+  return { total, split: { system: system / sum, kb: kb / sum, history: history / sum } };
+}
+
+/** Shorten one chunk's text to roughly `tokens` tokens */
+function truncateHit(hit, tokens) {
+  const chars = Math.max(0, Math.floor(tokens * CHARS_PER_TOKEN));
+  return { ...hit, text: hit.text.slice(0, chars).replace(/\s+\S*$/, "") + " …" };
+}
+
+/**
+ * system:   system messages that are always sent in full (prompt, instructions)
+ * kbHits:   retriever hits; `renderKb(hits)` turns them into one system message
+ * history:  stored turns + earlier client-supplied messages, oldest first
+ * question: the current user message (always kept)
+ *
+ * Over budget, the lowest-scoring chunks go first (the last one left is
+ * truncated rather than dropped), then the oldest history messages.
+ * Returns { messages, kbHits, breakdown }.
+ */
+export function assembleContext({ system, kbHits, renderKb, history, question, budget }) {
+  const { total, split } = budget;
+  const systemTokens = sumTokens(system);
+  const questionTokens = messageTokens(question);
+  const free = Math.max(0, total - systemTokens - questionTokens);
+
+  // KB gets its own share plus whatever the system prompt left unused
+  const kbLimit = Math.min(
+    free,
+    Math.round(total * split.kb) + Math.max(0, Math.round(total * split.system) - systemTokens)
+  );
+
+  let hits = [...kbHits];
+  let kbMessage = renderKb(hits);
+  let droppedChunks = 0;
+  while (hits.length > 1 && messageTokens(kbMessage) > kbLimit) {
+    let lowest = 0;
+    hits.forEach((h, i) => {
+      if (h.score < hits[lowest].score) lowest = i;
+    });
+    hits.splice(lowest, 1);
+    droppedChunks++;
+    kbMessage = renderKb(hits);
+  }
+  if (hits.length === 1 && messageTokens(kbMessage) > kbLimit) {
+    const overflow = messageTokens(kbMessage) - kbLimit;
+    const room = estimateTokens(hits[0].text) - overflow;
+    if (room > 50) {
+      hits = [truncateHit(hits[0], room)];
+    } else {
+      hits = [];
+      droppedChunks++;
+    }
+    kbMessage = renderKb(hits);
+  }
+  const kbTokens = messageTokens(kbMessage);
+
+  // History takes the rest; drop oldest first, never start on an assistant turn
+  const historyLimit = Math.max(0, free - kbTokens);
+  const kept = [...history];
+  let droppedMessages = 0;
+  while (kept.length && (sumTokens(kept) > historyLimit || kept[0].role === "assistant")) {
+    kept.shift();
+    droppedMessages++;
+  }
+  const historyTokens = sumTokens(kept);
+
+  return {
+    messages: [...system, kbMessage, ...kept, question],
+    kbHits: hits,
+    breakdown: {
+      budget: total,
+      system: systemTokens,
+      kb: kbTokens,
+      history: historyTokens,
+      question: questionTokens,
+      total: systemTokens + kbTokens + historyTokens + questionTokens,
+      dropped: { chunks: droppedChunks, messages: droppedMessages },
+    },
+  };
+}
@@ -0,0 +1,194 @@
+// lib/conversation_store.js
+// Pluggable conversation memory: in-memory (dev) or JSON-file backed (default).
+import fs from "fs";
+import path from "path";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * In-memory store. Every conversation is
+ *   { key, owner, messages: [{role, content}], summary?, createdAt, updatedAt }
+ * where `summary` is the rolling summary of turns that fell out of `messages`
+ * (see lib/summarizer.js). Conversations idle for longer than `ttlMs` are evicted by sweep(), and the
+ * least recently updated ones are dropped once `maxConversations` is exceeded.
+ */
+export function createMemoryStore({
+  ttlMs = 30 * DAY_MS,
+  maxConversations = 5000,
+  maxHistory = 12,
+  initial = [],
+  onChange = () => {},
+} = {}) {
+  const convs = new Map();
+  for (const c of initial) {
+    if (c?.key && Array.isArray(c.messages)) convs.set(c.key, c);
+  }
+
+  const isExpired = (c, now = Date.now()) =>
+    ttlMs > 0 && now - (c.updatedAt || 0) > ttlMs;
+
+  function getMessages(key) {
+    const c = convs.get(key);
+    if (!c) return [];
+    if (isExpired(c)) {
+      convs.delete(key);
+      onChange();
+      return [];
+    }
+    return c.messages;
+  }
+
+  /** Returns the messages pushed out past `maxHistory` (oldest first) */
+  function append(key, msgs, { owner = key } = {}) {
+    const now = Date.now();
+    let c = convs.get(key);
+    if (!c || isExpired(c, now)) {
+      c = { key, owner, messages: [], createdAt: now, updatedAt: now };
+    }
+    c.messages.push(...msgs);
+    const evicted =
+      c.messages.length > maxHistory ? c.messages.splice(0, c.messages.length - maxHistory) : [];
+    c.updatedAt = now;
+    // Re-insert so Map order doubles as LRU order
+    convs.delete(key);
+    convs.set(key, c);
+    while (convs.size > maxConversations) {
+      convs.delete(convs.keys().next().value);
+    }
+    onChange();
+    return evicted;
+  }
+
+  function getSummary(key) {
+    const c = convs.get(key);
+    return c && !isExpired(c) ? c.summary || null : null;
+  }
+
+  /** When the conversation under `key` was started (ms), or null if there is none */
+  function createdAt(key) {
+    const c = convs.get(key);
+    return c && !isExpired(c) ? c.createdAt : null;
+  }
+
+  /**
+   * Only for existing conversations; a deleted one stays deleted. With
+   * `createdAt`, a conversation deleted and started again since then is left alone.
+   */
+  function setSummary(key, summary, { createdAt = null } = {}) {
+    const c = convs.get(key);
+    if (!c || isExpired(c)) return false;
+    if (createdAt != null && c.createdAt !== createdAt) return false;
+    if (summary) c.summary = summary;
+    else delete c.summary;
+    onChange();
+    return true;
+  }
+
+  function remove(key) {
+    const existed = convs.delete(key);
+    if (existed) onChange();
+    return existed;
+  }
+
+  function listByOwner(owner) {
+    return [...convs.values()]
+      .filter((c) => c.owner === owner && !isExpired(c))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map((c) => ({
+        key: c.key,
+        messageCount: c.messages.length,
+        hasSummary: Boolean(c.summary),
+        createdAt: new Date(c.createdAt).toISOString(),
+        updatedAt: new Date(c.updatedAt).toISOString(),
+      }));
+  }
+
+  function removeByOwner(owner) {
+    let n = 0;
+    for (const [key, c] of convs) {
+      if (c.owner === owner) {
+        convs.delete(key);
+        n++;
+      }
+    }
+    if (n) onChange();
+    return n;
+  }
+
+  function sweep() {
+    const now = Date.now();
+    let n = 0;
+    for (const [key, c] of convs) {
+      if (isExpired(c, now)) {
+        convs.delete(key);
+        n++;
+      }
+    }
+    if (n) onChange();
+    return n;
+  }
+
+  return {
+    kind: "memory",
+    getMessages,
+    append,
+    getSummary,
+    setSummary,
+    createdAt,
+    remove,
+    listByOwner,
+    removeByOwner,
+    sweep,
+    size: () => convs.size,
+    snapshot: () => [...convs.values()],
+    flush() {},
+  };
+}
+
+/**
+ * File-backed store: the memory store plus a debounced, atomic JSON snapshot
+ * (write to *.tmp, then rename) so conversations survive restarts.
+ */
+export function createFileStore({ filePath, flushDelayMs = 1000, ...opts } = {}) {
+  let initial = [];
+  try {
+    initial = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!Array.isArray(initial)) initial = [];
+  } catch (e) {
+    if (e.code !== "ENOENT")
+      console.warn(`[conversations] Could not read ${filePath}: ${e.message}`);
+  }
+
+  let timer = null;
+  const store = createMemoryStore({ ...opts, initial, onChange: schedule });
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(flush, flushDelayMs);
+    timer.unref?.();
+  }
+
+  function flush() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(store.snapshot()));
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      console.error(`[conversations] Could not write ${filePath}: ${e.message}`);
+    }
+  }
+
+  store.sweep();
+  console.log(`[conversations] Loaded ${store.size()} conversations from ${filePath}`);
+  return { ...store, kind: "file", flush };
+}
+
+/** Pick a store implementation by name ("file" | "memory") */
+export function createConversationStore(kind = "file", opts = {}) {
+  if (kind === "memory") return createMemoryStore(opts);
+  if (kind === "file") return createFileStore(opts);
+  throw new Error(`Unknown conversation store: ${kind}`);
+}
@@ -0,0 +1,180 @@
+// lib/glossary.js
+// Shared glossary (kb/glossary.json): herb names for query expansion and the
+// course terminology rules used to check generated answers.
+import fs from "fs";
+import path from "path";
+import { tokenize } from "./tokenizer.js";
+
+const GLOSSARY_PATH =
+  process.env.GLOSSARY_PATH || path.join(process.cwd(), "kb", "glossary.json");
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+
+/**
+ * Every herb becomes one synonym group. Only single-word names and the Latin
+ * genus are used, so "nagy útifű" does not drag "nagy" into every query.
+ */
+function buildSynonymIndex(herbs) {
+  const index = new Map(); // stem → Set(stems)
+  for (const h of herbs || []) {
+    const names = [...(h.hu || []), ...(h.en || [])];
+    if (h.latin) names.push(h.latin.split(/\s+/)[0]);
+    const group = new Set();
+    for (const n of names) {
+      const toks = tokenize(n);
+      if (toks.length === 1) group.add(toks[0]);
+    }
+    for (const t of group) {
+      if (!index.has(t)) index.set(t, new Set());
+      for (const o of group) index.get(t).add(o);
+    }
+  }
+  return index;
+}
+
+/**
+ * Forbidden variants → preferred term. Matches at a word start and keeps any
+ * Hungarian suffix, so "szélhajtók" is rewritten to "gázhajtók".
+ */
+function buildRules(data) {
+  const rules = [];
+  for (const group of ["actions", "tissueStates", "terms"]) {
+    for (const entry of data[group] || []) {
+      for (const bad of entry.forbidden || []) {
+        rules.push({
+          forbidden: bad,
+          preferred: entry.hu,
+          re: new RegExp(`(?<![\\p{L}])${escapeRe(bad)}(\\p{L}*)`, "giu"),
+        });
+      }
+    }
+  }
+  return rules;
+}
+
+/** stem → herb entry, for spotting herbs mentioned in free text */
+function buildHerbIndex(herbs) {
+  const index = new Map();
+  for (const h of herbs || []) {
+    const names = [...(h.hu || []), ...(h.en || [])];
+    if (h.latin) names.push(h.latin.split(/\s+/)[0]);
+    for (const n of names) {
+      const toks = tokenize(n);
+      if (toks.length === 1 && !index.has(toks[0])) index.set(toks[0], h);
+    }
+  }
+  return index;
+}
+
+/** Tissue states as stem lists ("hideg/elnyomott" → ["hideg", "elnyomot"]) */
+function buildTissueIndex(states) {
+  return (states || []).map((s) => ({
+    entry: s,
+    names: [s.hu, s.en].filter(Boolean).map((n) => tokenize(n)).filter((t) => t.length),
+  }));
+}
+
+function compile(data) {
+  return {
+    version: data.version ?? null,
+    herbs: data.herbs || [],
+    tissueIndex: buildTissueIndex(data.tissueStates),
+    herbIndex: buildHerbIndex(data.herbs),
+    synonyms: buildSynonymIndex(data.herbs),
+    rules: buildRules(data),
+  };
+}
+
+function matchCase(found, replacement) {
+  return found[0] && found[0] === found[0].toUpperCase() && found[0] !== found[0].toLowerCase()
+    ? replacement[0].toUpperCase() + replacement.slice(1)
+    : replacement;
+}
+
+/**
+ * Glossary with the same mtime-based reload as the prompt loader.
+ * Falls back to an empty glossary if the file is missing or invalid.
+ */
+export function createGlossary(filePath = GLOSSARY_PATH) {
+  let compiled = compile({});
+  let mtimeMs = 0;
+
+  function current() {
+    try {
+      const stat = fs.statSync(filePath);
+      if (stat.mtimeMs !== mtimeMs) {
+        compiled = compile(JSON.parse(fs.readFileSync(filePath, "utf8")));
+        mtimeMs = stat.mtimeMs;
+        console.log(
+          `[glossary] Loaded ${path.basename(filePath)} (${compiled.herbs.length} herbs, ${compiled.rules.length} rules)`
+        );
+      }
+    } catch (e) {
+      if (mtimeMs !== -1) console.warn(`[glossary] Could not load ${filePath}: ${e.message}`);
+      mtimeMs = -1;
+    }
+    return compiled;
+  }
+
+  /** Add synonym stems for every query token that names a known herb */
+  function expandTokens(tokens) {
+    const { synonyms } = current();
+    const bag = new Set(tokens);
+    for (const t of tokens) {
+      const syns = synonyms.get(t);
+      if (syns) for (const s of syns) bag.add(s);
+    }
+    return [...bag];
+  }
+
+  /** Herbs mentioned in `text`, in order of first mention, without duplicates */
+  function findHerbs(text) {
+    const { herbIndex } = current();
+    const found = [];
+    for (const t of tokenize(text)) {
+      const h = herbIndex.get(t);
+      if (h && !found.includes(h)) found.push(h);
+    }
+    return found;
+  }
+
+  /** Tissue states named in `text` (every word of the hu or en name present) */
+  function findTissueStates(text) {
+    const bag = new Set(tokenize(text));
+    return current()
+      .tissueIndex.filter(({ names }) => names.some((toks) => toks.every((t) => bag.has(t))))
+      .map(({ entry }) => entry);
+  }
+
+  /**
+   * Check an answer against the terminology rules.
+   * mode: "flag" (report only) | "rewrite" (replace forbidden variants).
+   * Returns { text, violations: [{ found, preferred }] }.
+   */
+  function checkTerminology(text, { mode = "flag" } = {}) {
+    const violations = [];
+    let out = text;
+    for (const rule of current().rules) {
+      out = out.replace(rule.re, (found, suffix) => {
+        violations.push({ found, preferred: rule.preferred });
+        return mode === "rewrite" ? matchCase(found, rule.preferred) + suffix : found;
+      });
+    }
+    return { text: out, violations };
+  }
+
+  function reload() {
+    mtimeMs = 0;
+    const g = current();
+    return { version: g.version, herbs: g.herbs.length, rules: g.rules.length };
+  }
+
+  return {
+    expandTokens,
+    findHerbs,
+    findTissueStates,
+    checkTerminology,
+    reload,
+    herbs: () => current().herbs,
+  };
+}
@@ -0,0 +1,389 @@
+// lib/herbs.js
+// Herb entity index (kb/herbs.json), built by tools/ingest.js from the KB
+// chunks and the glossary. One entry per Latin name:
+//
+//   { id: "achillea-millefolium", latin: "Achillea millefolium",
+//     hu: ["cickafark"], en: ["yarrow"], actions: ["összehúzó", …],
+//     tissueStates: ["nedves/laza"], preparations: ["tinktúra"],
+//     chunks: ["Hatas kurzus.txt#404", …], mentions: 12 }
+//
+// Herbs are found in the course texts by the "Magyar név (Genus species)"
+// pattern plus the glossary herbs; a glossary herb's `aliases` (Latin
+// spelling variants) fold into its entry. Actions, tissue states and preparations
+// are the glossary terms (course wording) found around each mention: the
+// rest of a list line, the list title and the section heading for list
+// entries, the sentence for mentions in running text. Every list is ordered
+// by how often it was seen.
+import fs from "fs";
+import path from "path";
+import { normalize } from "./tokenizer.js";
+
+export const HERB_INDEX_FILE = "herbs.json";
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+
+// Hungarian case/plural endings allowed after short terms ("méz" → "mézek",
+// but not "mező")
+const SHORT_SUFFIX = "(?:[aeo]?k|[aeo]?t|[aeo]?kat|[aeo]?ket|ban|ben|bol|ba|be|val|vel|hoz|hez|ja|je|es|os)?";
+
+/**
+ * Accent-folded pattern for a Hungarian term that tolerates suffixes:
+ * short terms take a known ending, longer ones match as a prefix with a
+ * final a/e/o dropped ("zsálya" → "zsaly…", "görcsoldó" → "gorcsold…").
+ */
+function huPattern(term) {
+  const n = normalize(term).trim();
+  if (n.length <= 4) return `(?<![\\p{L}])${escapeRe(n)}${SHORT_SUFFIX}(?![\\p{L}])`;
+  return `(?<![\\p{L}])${escapeRe(n.length > 5 ? n.replace(/[aeo]$/, "") : n)}`;
+}
+
+const enPattern = (term) => `(?<![\\p{L}])${escapeRe(normalize(term).trim())}(?:e?s)?(?![\\p{L}])`;
+
+const latinPattern = (latin) => `(?<![\\p{L}])${escapeRe(latinKey(latin))}(?![\\p{L}])`;
+
+const compile = (patterns) => (patterns.length ? new RegExp(patterns.join("|"), "u") : null);
+
+/** "Mentha × Piperita" → "mentha piperita" (the hybrid sign is often left out) */
+const latinKey = (latin) => normalize(latin).replace(/×/g, " ").replace(/\s+/g, " ").trim();
+
+const genus = (key) => key.split(" ")[0];
+const slug = (latin) => latinKey(latin).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// "Genus species" (optionally "Genus × species" or "Genus spp."); the first one
+// when the parenthesis lists alternatives ("Rhus typhina, vagy Rhus aromatica")
+const LATIN_IN_PARENS = /\(\s*([A-Z][a-z]{2,}\s+(?:×\s*)?[a-z][a-z-]{2,})\.?\s*(?:[,;][^)]*)?\)/g;
+
+// A line that starts with "Name (Genus species)": a list entry or a monograph heading
+const LIST_ENTRY = /^[^.:;!?(]{2,60}\(\s*([A-Z][a-z]{2,}\s+(?:×\s*)?[a-z][a-z-]{2,})[^)]*\)/;
+
+// Plant parts that follow the herb name in lists ("Csalán levél", "Bojtorján mag és gyökér")
+const PLANT_PARTS = new Set([
+  "levél", "levele", "levelek", "gyökér", "gyökere", "gyökerek", "mag", "magja", "magok",
+  "virág", "virága", "virágok", "kéreg", "kérge", "termés", "termése", "bogyó", "bogyója",
+  "herba", "hajtás", "rügy", "szár", "gumó", "levelet", "föld", "feletti", "részek", "rész",
+  "szirom", "tűlevél", "rizóma", "rizómát",
+  "friss", "szárított", "és", "vagy",
+]);
+
+// English plant parts; with the glossary's English names they mark an
+// English label ("Nettle seed (Urtica dioica)") that isn't a Hungarian name
+const ENGLISH_PARTS = ["seed", "seeds", "leaf", "leaves", "root", "roots", "flower", "flowers", "bark", "berry", "berries", "herb"];
+
+/** Every word of the glossary's English names (herbs and terms) */
+function englishWords(glossaryData) {
+  const names = [
+    ...(glossaryData.herbs || []).flatMap((h) => h.en || []),
+    ...["actions", "tissueStates", "preparations", "terms"].flatMap((g) =>
+      (glossaryData[g] || []).map((t) => t.en || "")
+    ),
+  ];
+  return new Set([...ENGLISH_PARTS, ...names.flatMap((n) => n.toLowerCase().split(/[\s/]+/)).filter(Boolean)]);
+}
+
+/** Article, English words and trailing plant parts off; null unless a short name is left */
+function huNameFrom(words, english, maxWords) {
+  if (words[0] === "a" || words[0] === "az") words.shift();
+  if (words.some((w) => english.has(w))) return null;
+  while (words.length > 1 && PLANT_PARTS.has(words.at(-1))) words.pop();
+  const name = words.join(" ");
+  if (PLANT_PARTS.has(name)) return null;
+  return name.length >= 3 && words.length <= maxWords && /^\p{L}/u.test(name) ? name : null;
+}
+
+/**
+ * The Hungarian name in front of a Latin one, or null. It has to look like a
+ * list entry: capitalised, a few words, no brackets (a chunk that starts
+ * mid-line gives fragments like "ngita"), and no English words. A
+ * transliterated name after a dash is dropped ("Liliom gyökér - Bai He").
+ */
+function cleanHuName(raw, english = new Set()) {
+  const text = raw.split(/\s[-–]\s/)[0].replace(/[*,]/g, " ").trim();
+  if (!/^\p{Lu}/u.test(text) || /[()]|\p{Ll}\p{Lu}/u.test(text)) return null;
+  return huNameFrom(text.toLowerCase().split(/\s+/).filter(Boolean), english, 4);
+}
+
+const LEADING_WORDS = new Set(["és", "vagy", "mint", "például", "pl", "ilyen", "ilyenek", "a", "az", "friss", "szárított"]);
+
+/**
+ * The last item of an enumeration in running text ("…, kakukkfű (Thymus
+ * vulgaris), és babérlevél"): lower case is fine, but at most three words.
+ * Without a separator in front, the text may start mid-word, so it doesn't count.
+ */
+function inTextHuName(raw, english = new Set()) {
+  const items = raw.split(/[,;:.!?)]/);
+  if (items.length < 2) return null;
+  const tail = items.at(-1).split(/\s[-–]\s/)[0];
+  if (/[(„”"\d]|\p{Ll}\p{Lu}/u.test(tail)) return null;
+  const words = tail.toLowerCase().split(/\s+/).filter(Boolean);
+  while (words.length > 1 && LEADING_WORDS.has(words[0])) words.shift();
+  return huNameFrom(words, english, 3);
+}
+
+/** Glossary groups → [{ hu, en, re }] for spotting terms in a context */
+function compileTerms(entries, { split = false } = {}) {
+  return (entries || []).map((entry) => {
+    const variants = [entry.hu, entry.en, ...(entry.forbidden || [])].filter(Boolean);
+    // Tissue states count when every part is present ("hideg" and "elnyomott")
+    const groups = variants.map((v) =>
+      (split ? v.split("/") : [v]).map((part) => new RegExp(`${huPattern(part)}|${enPattern(part)}`, "u"))
+    );
+    return {
+      hu: entry.hu,
+      en: entry.en,
+      test: (text) => groups.some((parts) => parts.every((re) => re.test(text))),
+    };
+  });
+}
+
+/** Matchers for the herbs themselves (Latin phrase, Hungarian prefix, English word) */
+function compileHerbMatcher(herb) {
+  return compile([
+    latinPattern(herb.latin),
+    ...(herb.aliases || []).map(latinPattern),
+    ...herb.hu.filter((n) => normalize(n).length >= 4).map(huPattern),
+    ...herb.en.filter((n) => n.length >= 4).map(enPattern),
+  ]);
+}
+
+// Lines that open a list or a section: "Vértisztító Vízhajtók", "TINKTÚRA KÉSZÍTÉS", "# Cím"
+const isMajorHeading = (line) => /^#{1,6}\s/.test(line) || (/\p{Lu}{4}/u.test(line) && line === line.toUpperCase());
+const isListTitle = (line) => line.length <= 80 && !/[.!?:;]$/.test(line) && !line.includes("(");
+
+// "[Nyelv: hu | Modul: … | Fájl: …]" lines added by the source formats
+const MARKER_LINE = /^\[[^\]]*\|[^\]]*\]$/;
+
+/**
+ * Build the index from KB chunks ({ id, source, position, section, text })
+ * and the parsed glossary.json.
+ */
+export function buildHerbIndex(chunks, glossaryData = {}) {
+  const herbs = new Map(); // latin key → entry being built
+  const aliasOf = new Map(); // latin key of a spelling variant → the glossary herb's key
+  for (const h of glossaryData.herbs || []) {
+    for (const a of h.latin ? h.aliases || [] : []) aliasOf.set(latinKey(a), latinKey(h.latin));
+  }
+  const english = englishWords(glossaryData);
+  const owner = new Map(); // Hungarian glossary name → its herb's key
+  for (const h of glossaryData.herbs || []) {
+    for (const n of h.latin ? h.hu || [] : []) owner.set(normalize(n).trim(), latinKey(h.latin));
+  }
+
+  function entity(latin) {
+    const key = aliasOf.get(latinKey(latin)) || latinKey(latin);
+    if (!herbs.has(key)) {
+      herbs.set(key, {
+        key,
+        latin: latin.replace(/\s+/g, " ").trim(),
+        aliases: new Set(),
+        hu: new Set(), // glossary names
+        named: new Map(), // names from the text → times seen
+        en: new Set(),
+        counts: { actions: new Map(), tissueStates: new Map(), preparations: new Map() },
+        chunks: new Map(), // chunk id → mentions in it
+        mentions: 0,
+      });
+    }
+    return herbs.get(key);
+  }
+
+  for (const h of glossaryData.herbs || []) {
+    if (!h.latin) continue;
+    const e = entity(h.latin);
+    for (const a of h.aliases || []) e.aliases.add(a);
+    for (const n of h.hu || []) e.hu.add(n.toLowerCase());
+    for (const n of h.en || []) e.en.add(n.toLowerCase());
+  }
+
+  // Chunks of a source in reading order, so a heading carries over into the next chunk
+  const ordered = [...chunks].sort(
+    (a, b) =>
+      String(a.source).localeCompare(String(b.source)) ||
+      (a.position?.index ?? 0) - (b.position?.index ?? 0)
+  );
+  const lines = (chunk) =>
+    chunk.text.split("\n").map((l) => l.trim()).filter((l) => l && !MARKER_LINE.test(l));
+
+  // Pass 1: names from the "Név (Genus species)" pattern
+  for (const chunk of ordered) {
+    for (const line of lines(chunk)) {
+      for (const m of line.matchAll(LATIN_IN_PARENS)) {
+        const e = entity(m[1]);
+        const before = line.slice(0, m.index);
+        // A list entry ("Cickafark (Achillea millefolium)…") names the herb most
+        // reliably; otherwise the enumeration item right in front of the parenthesis
+        const name = (!/[.:;!?]/.test(before) && cleanHuName(before, english)) || inTextHuName(before, english);
+        // A glossary name in front of another genus is a slip of the source
+        // ("Galagonya (Juniperus communius)"), not a second name
+        const of = owner.get(normalize(name || "").trim());
+        if (!name || (of && genus(of) !== genus(e.key))) continue;
+        e.named.set(name, (e.named.get(name) || 0) + 1);
+      }
+    }
+  }
+
+  // Pass 2: mentions and the terms around them
+  const vocabulary = {
+    actions: compileTerms(glossaryData.actions),
+    tissueStates: compileTerms(glossaryData.tissueStates, { split: true }),
+    preparations: compileTerms(glossaryData.preparations),
+  };
+  const byFrequency = (m) => [...m.entries()].sort((a, b) => b[1] - a[1]).map(([k]) => k);
+  // Glossary names first, then the names of the text, the most used leading
+  const huNames = (e) => [...new Set([...e.hu, ...byFrequency(e.named)])];
+  const matchers = [...herbs.values()].map((e) => ({
+    e,
+    re: compileHerbMatcher({ latin: e.latin, aliases: [...e.aliases], hu: huNames(e), en: [...e.en] }),
+  }));
+
+  function count(e, context) {
+    for (const [group, terms] of Object.entries(vocabulary)) {
+      for (const t of terms) {
+        if (t.test(context)) e.counts[group].set(t.hu, (e.counts[group].get(t.hu) || 0) + 1);
+      }
+    }
+  }
+
+  let source = null;
+  let major = "";
+  let title = "";
+  for (const chunk of ordered) {
+    if (chunk.source !== source) {
+      source = chunk.source;
+      major = title = "";
+    }
+    const sectionPath = normalize((chunk.section || []).join(" "));
+    for (const line of lines(chunk)) {
+      const norm = normalize(line);
+      const listEntry = line.match(LIST_ENTRY);
+      if (listEntry) {
+        // The herb's own name is left out, so "Ecetfa" doesn't count as a vinegar
+        const e = entity(listEntry[1]);
+        e.mentions++;
+        e.chunks.set(chunk.id, (e.chunks.get(chunk.id) || 0) + 1);
+        count(e, [sectionPath, major, title, normalize(line.slice(listEntry[0].length))].join("\n"));
+        continue;
+      }
+      if (isMajorHeading(line)) {
+        major = norm;
+        title = "";
+        continue;
+      }
+      if (isListTitle(line) && !matchers.some(({ re }) => re?.test(norm))) {
+        title = norm;
+        continue;
+      }
+      for (const sentence of norm.split(/(?<=[.!?])\s+/)) {
+        for (const { e, re } of matchers) {
+          if (!re?.test(sentence)) continue;
+          e.mentions++;
+          e.chunks.set(chunk.id, (e.chunks.get(chunk.id) || 0) + 1);
+          count(e, [major, sentence].join("\n"));
+        }
+      }
+    }
+  }
+
+  const entries = [...herbs.values()]
+    .map((e) => ({
+      id: slug(e.latin),
+      latin: e.latin,
+      ...(e.aliases.size ? { aliases: [...e.aliases] } : {}),
+      hu: huNames(e),
+      en: [...e.en],
+      actions: byFrequency(e.counts.actions),
+      tissueStates: byFrequency(e.counts.tissueStates),
+      preparations: byFrequency(e.counts.preparations),
+      chunks: byFrequency(e.chunks), // most mentions first: the monograph leads
+      mentions: e.mentions,
+    }))
+    .sort((a, b) => a.latin.localeCompare(b.latin));
+
+  return {
+    version: 1,
+    builtAt: new Date().toISOString(),
+    glossaryVersion: glossaryData.version ?? null,
+    vocabulary: Object.fromEntries(
+      ["actions", "tissueStates", "preparations"].map((g) => [
+        g,
+        (glossaryData[g] || []).map(({ hu, en }) => ({ hu, en })),
+      ])
+    ),
+    herbs: entries,
+  };
+}
+
+/** kb/herbs.json, or null when it was never built (or is unreadable) */
+export function loadHerbIndex(kbDir = path.join(process.cwd(), "kb")) {
+  const file = path.join(kbDir, HERB_INDEX_FILE);
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`[herbs] Could not load ${file}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Queries over a built index. A null index behaves as an empty one.
+ *   list({ q, action, tissueState, preparation, limit }) → entries
+ *   get(name)  → entry by id, Latin, Hungarian or English name (null if unknown)
+ *   find(text) → entries mentioned in free text, in order of first mention
+ */
+export function createHerbLookup(index) {
+  const herbs = index?.herbs || [];
+  const vocabulary = index?.vocabulary || {};
+  const byName = new Map();
+  for (const h of herbs) {
+    for (const n of [h.id, h.latin, ...(h.aliases || []), ...h.hu, ...h.en]) {
+      const key = normalize(n).trim();
+      // A shared name goes to the herb it names first (its canonical list entry),
+      // then to the better documented one
+      const rank = (entry) => Math.max(0, entry.hu.findIndex((x) => normalize(x).trim() === key));
+      const held = byName.get(key);
+      if (!held || rank(h) < rank(held) || (rank(h) === rank(held) && held.mentions < h.mentions)) byName.set(key, h);
+    }
+  }
+  const matchers = herbs.map((h) => ({ h, re: compileHerbMatcher(h) })).filter((m) => m.re);
+
+  // "astringent" / "osszehuzo" → "összehúzó", as stored in the entries
+  function term(group, value) {
+    const v = normalize(value).trim();
+    const hit = (vocabulary[group] || []).find((t) => [t.hu, t.en].some((x) => x && normalize(x) === v));
+    return hit ? hit.hu : value;
+  }
+
+  function list({ q = null, action = null, tissueState = null, preparation = null, limit = 50 } = {}) {
+    const needle = q ? normalize(q).trim() : null;
+    const wanted = [
+      ["actions", action && term("actions", action)],
+      ["tissueStates", tissueState && term("tissueStates", tissueState)],
+      ["preparations", preparation && term("preparations", preparation)],
+    ].filter(([, v]) => v);
+    return herbs
+      .filter((h) => !needle || [h.latin, ...h.hu, ...h.en].some((n) => normalize(n).includes(needle)))
+      .filter((h) => wanted.every(([group, v]) => h[group].includes(v)))
+      .slice(0, limit);
+  }
+
+  function get(name) {
+    const key = normalize(name || "").trim();
+    return byName.get(key) || byName.get(key.replace(/\s+/g, "-")) || null;
+  }
+
+  function find(text) {
+    const norm = normalize(text || "");
+    return matchers
+      .map(({ h, re }) => ({ h, at: norm.search(re) }))
+      .filter((m) => m.at > -1)
+      .sort((a, b) => a.at - b.at)
+      .map((m) => m.h);
+  }
+
+  return {
+    list,
+    get,
+    find,
+    size: herbs.length,
+    builtAt: index?.builtAt ?? null,
+  };
+}
@@ -2,58 +2,202 @@
 import fs from "fs";
 import path from "path";
 import zlib from "zlib";
+import { promisify } from "util";
+import { normalize, tokenize } from "./tokenizer.js";
+import { packVectors } from "./vector_index.js";
 
-const stripAccents = (s) =>
-  s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+export { normalize };
 
-export function normalize(s) {
-  if (!s) return "";
-  return stripAccents(String(s).toLowerCase());
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Shards are either the current `{ manifest, chunks }` format written by
+ * tools/ingest.js or a legacy bare array of chunks (no manifest).
+ * Binary shards keep their vectors in a sidecar float32 file named by
+ * `manifest.vectors.file`; each entry then gets a Float32Array view.
+ */
+export function readShard(file) {
+  const parsed = JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString("utf8"));
+  const vec = sidecarOf(parsed);
+  return toShard(file, parsed, vec ? fs.readFileSync(path.join(path.dirname(file), vec.file)) : null);
 }
 
-/** Load all *.json.gz from /kb and return {chunks, inverted, avgdl} */
-export function loadKB(kbDir = path.join(process.cwd(), "kb")) {
-  const files = fs
+/** Same as readShard(), but the file reads and gunzip don't block the event loop */
+export async function readShardAsync(file) {
+  const parsed = JSON.parse((await gunzip(await fs.promises.readFile(file))).toString("utf8"));
+  const vec = sidecarOf(parsed);
+  return toShard(file, parsed, vec ? await fs.promises.readFile(path.join(path.dirname(file), vec.file)) : null);
+}
+
+function sidecarOf(parsed) {
+  return !Array.isArray(parsed) && parsed.manifest?.vectors?.file ? parsed.manifest.vectors : null;
+}
+
+function toShard(file, parsed, sidecar) {
+  if (Array.isArray(parsed)) return { manifest: null, entries: parsed };
+
+  const manifest = parsed.manifest || null;
+  const entries = parsed.chunks || [];
+  const vec = manifest?.vectors;
+  if (sidecar) {
+    // Copy so the view is 4-byte aligned regardless of Buffer pooling
+    const all = new Float32Array(sidecar.buffer.slice(sidecar.byteOffset, sidecar.byteOffset + sidecar.length));
+    if (all.length !== vec.dim * entries.length) {
+      throw new Error(`${path.basename(file)}: ${vec.file} has ${all.length} floats, expected ${vec.dim * entries.length}`);
+    }
+    entries.forEach((e, i) => {
+      e.embedding = all.subarray(i * vec.dim, (i + 1) * vec.dim);
+    });
+  }
+  return { manifest, entries };
+}
+
+/** Shards written before metadata existed only know the source file name */
+function legacyMeta(source) {
+  return source ? { module: path.basename(source, path.extname(source)) } : {};
+}
+
+/**
+ * Merge per-shard manifests into one KB-level view. `model`/`dim` are only
+ * set when every shard agrees; `consistent` is false otherwise.
+ */
+function summarizeManifests(shards) {
+  const models = new Set(shards.map((s) => s.model).filter(Boolean));
+  const dims = new Set(shards.map((s) => s.dim).filter(Boolean));
+  const consistent = models.size <= 1 && dims.size <= 1;
+  return {
+    model: consistent && models.size === 1 ? [...models][0] : null,
+    dim: consistent && dims.size === 1 ? [...dims][0] : null,
+    consistent,
+    shards,
+  };
+}
+
+function listShards(kbDir) {
+  return fs
     .readdirSync(kbDir)
     .filter((f) => f.endsWith(".json.gz"))
     .map((f) => path.join(kbDir, f));
+}
 
+/**
+ * Accumulates shards into the KB structures. The keyword index is built per
+ * shard, so the async loader can yield between shards.
+ */
+function createKbBuilder() {
+  const t0 = Date.now();
   const chunks = [];
-  for (const file of files) {
-    const raw = fs.readFileSync(file);
-    const jsonStr = zlib.gunzipSync(raw).toString("utf8");
-    const arr = JSON.parse(jsonStr);
-    for (const e of arr) {
+  const embeddings = [];
+  const shards = [];
+  const inverted = new Map();
+  const docLens = [];
+
+  function addShard(file, { manifest, entries }) {
+    let count = 0;
+    let firstDim = null;
+    for (const e of entries) {
       if (!e?.text || !e?.embedding) continue;
       const text = e.text;
+      firstDim ??= e.embedding.length;
       chunks.push({
         id: e.id ?? null,
         source: e.source ?? null,
+        section: Array.isArray(e.section) ? e.section : [], // heading path
+        position: e.position ?? null, // { index, start, end } within source
+        meta: e.meta ?? legacyMeta(e.source), // front-matter / record metadata (module, lang, latin…)
         text,
         normText: normalize(text),
-        embedding: e.embedding, // float[]
       });
+      embeddings.push(e.embedding);
+      count++;
+    }
+
+    const emb = manifest?.embedding || {};
+    const dim = emb.dim ?? firstDim;
+    if (emb.dim && firstDim && emb.dim !== firstDim) {
+      console.warn(
+        `[kb] ${path.basename(file)}: manifest says ${emb.dim} dims, vectors have ${firstDim}`
+      );
+    }
+    shards.push({
+      file: path.basename(file),
+      legacy: !manifest,
+      binary: Boolean(manifest?.vectors?.file),
+      model: emb.model ?? null,
+      dim,
+      decimals: emb.decimals ?? null,
+      chunking: manifest?.chunking ?? null,
+      createdAt: manifest?.createdAt ?? null,
+      chunks: count,
+    });
+
+    // Inverted index for keyword scoring (stemmed, stopwords removed)
+    for (let i = docLens.length; i < chunks.length; i++) {
+      const tokens = tokenize(chunks[i].text);
+      docLens[i] = tokens.length;
+      const seen = new Map();
+      for (const t of tokens) seen.set(t, (seen.get(t) || 0) + 1);
+      for (const [t, tf] of seen) {
+        if (!inverted.has(t)) inverted.set(t, []);
+        inverted.get(t).push([i, tf]);
+      }
     }
   }
 
-  // Build tiny inverted index for keyword scoring
-  const inverted = new Map();
-  const tokenRe = /[a-z0-9]+/g;
-  const docTokenCounts = new Array(chunks.length).fill(0);
-
-  chunks.forEach((c, i) => {
-    const tokens = (c.normText.match(tokenRe) || []).slice(0, 500);
-    docTokenCounts[i] = tokens.length;
-    const seen = new Map();
-    for (const t of tokens) seen.set(t, (seen.get(t) || 0) + 1);
-    for (const [t, tf] of seen) {
-      if (!inverted.has(t)) inverted.set(t, []);
-      inverted.get(t).push([i, tf]);
+  function finish() {
+    const manifest = summarizeManifests(shards);
+    if (!manifest.consistent) {
+      console.warn(
+        "[kb] Shards were embedded with different models/dimensions: " +
+          shards.map((s) => `${s.file}=${s.model || "?"}/${s.dim}`).join(", ")
+      );
+    }
+
+    const avgdl =
+      docLens.reduce((a, b) => a + b, 0) / Math.max(1, chunks.length);
+
+    // Pack embeddings; with mixed dims, the most common one wins
+    const dimCounts = new Map();
+    for (const e of embeddings) dimCounts.set(e.length, (dimCounts.get(e.length) || 0) + 1);
+    const dim = manifest.dim ?? [...dimCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? 0;
+    const vectors = packVectors(embeddings, dim);
+    if (vectors.skipped) {
+      console.warn(`[kb] ${vectors.skipped} chunks have no usable ${dim}-dim embedding; keyword-only for those.`);
     }
-  });
 
-  const avgdl =
-    docTokenCounts.reduce((a, b) => a + b, 0) / Math.max(1, chunks.length);
+    const stats = {
+      loadMs: Date.now() - t0,
+      vectorBytes: vectors.matrix.byteLength,
+      indexTerms: inverted.size,
+    };
 
-  return { chunks, inverted, avgdl };
+    return { chunks, inverted, avgdl, docLens, vectors, manifest, stats };
+  }
+
+  return { addShard, finish };
+}
+
+/**
+ * Load all *.json.gz from /kb and return
+ * {chunks, inverted, avgdl, docLens, vectors, manifest, stats}.
+ * Embeddings end up in `vectors` (packed, normalised Float32 matrix); chunks
+ * don't keep their own copy.
+ */
+export function loadKB(kbDir = path.join(process.cwd(), "kb")) {
+  const builder = createKbBuilder();
+  for (const file of listShards(kbDir)) builder.addShard(file, readShard(file));
+  return builder.finish();
+}
+
+/**
+ * loadKB() for a running server: reads shards asynchronously and yields to the
+ * event loop after each one, so a reload doesn't stall requests in flight.
+ */
+export async function loadKBAsync(kbDir = path.join(process.cwd(), "kb")) {
+  const builder = createKbBuilder();
+  for (const file of listShards(kbDir)) {
+    builder.addShard(file, await readShardAsync(file));
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  return builder.finish();
 }
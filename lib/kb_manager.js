@@ -0,0 +1,202 @@
+// lib/kb_manager.js
+// Admin-side KB management: source files in kb/, background re-ingest jobs
+// (tools/ingest.js as a child process) and a reload hook for hot swapping.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { isSourceFile } from "./source_formats.js";
+
+const INGEST_SCRIPT = fileURLToPath(new URL("../tools/ingest.js", import.meta.url));
+const MAX_LOG_LINES = 200;
+const MAX_JOBS = 20; // finished jobs kept for polling
+
+export class KbManagerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "KbManagerError";
+    this.status = status;
+  }
+}
+
+/**
+ * kbDir:    where sources live and shards are written (same as tools/ingest.js)
+ * onReload: async () => stats — called after a successful ingest to swap the KB
+ */
+export function createKbManager({ kbDir, onReload }) {
+  const jobs = new Map(); // id → job
+  let running = null;
+
+  /** Only plain file names of supported formats, nothing outside kbDir */
+  function checkName(name) {
+    const base = path.basename(String(name || ""));
+    if (!base || base !== name || base.startsWith(".")) {
+      throw new KbManagerError("Invalid source name");
+    }
+    if (!isSourceFile(base)) throw new KbManagerError(`Unsupported source type: ${path.extname(base) || base}`);
+    return base;
+  }
+
+  function assertIdle() {
+    if (running) throw new KbManagerError(`Re-ingest ${running.id} is running, try again later`, 409);
+  }
+
+  function readSourceIndex() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(kbDir, "sources.json"), "utf8"));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Source files on disk merged with the ingest index and the live KB.
+   * `stale` means the file changed (or is new) since it was last ingested.
+   */
+  function listSources(kb) {
+    const index = readSourceIndex();
+    const liveCounts = new Map();
+    for (const c of kb.chunks) liveCounts.set(c.source, (liveCounts.get(c.source) || 0) + 1);
+
+    const files = fs.existsSync(kbDir) ? fs.readdirSync(kbDir).filter(isSourceFile) : [];
+    const names = new Set([...files, ...liveCounts.keys()]);
+    return [...names].sort().map((name) => {
+      const full = path.join(kbDir, name);
+      const onDisk = files.includes(name);
+      const stat = onDisk ? fs.statSync(full) : null;
+      const hash = onDisk
+        ? crypto.createHash("sha1").update(fs.readFileSync(full, "utf8")).digest("hex")
+        : null;
+      return {
+        source: name,
+        bytes: stat?.size ?? null,
+        modifiedAt: stat ? stat.mtime.toISOString() : null,
+        chunks: liveCounts.get(name) || 0,
+        ingestedAt: index[name]?.ingestedAt || null,
+        onDisk,
+        stale: !onDisk || index[name]?.sourceHash !== hash,
+      };
+    });
+  }
+
+  /** Live sources without a file in kbDir: a re-ingest keeps them unless it prunes */
+  function orphanSources(kb) {
+    return listSources(kb)
+      .filter((s) => !s.onDisk && s.chunks)
+      .map(({ source, chunks }) => ({ source, chunks }));
+  }
+
+  function saveSource(name, content) {
+    assertIdle();
+    const base = checkName(name);
+    if (typeof content !== "string" || !content.trim()) throw new KbManagerError("Empty document");
+    const full = path.join(kbDir, base);
+    const existed = fs.existsSync(full);
+    const tmp = path.join(kbDir, `.${base}.tmp`);
+    fs.mkdirSync(kbDir, { recursive: true });
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, full);
+    return { source: base, bytes: Buffer.byteLength(content), created: !existed };
+  }
+
+  function deleteSource(name) {
+    assertIdle();
+    const base = checkName(name);
+    const full = path.join(kbDir, base);
+    if (!fs.existsSync(full)) throw new KbManagerError("No such source", 404);
+    fs.unlinkSync(full);
+    return { source: base, deleted: true };
+  }
+
+  const publicJob = ({ child, ...job }) => ({ ...job, log: job.log.slice(-50) });
+
+  /**
+   * Start tools/ingest.js in the background; poll with getJob(id).
+   * prune: also drop the chunks of sources that are no longer on disk.
+   */
+  function startIngest({ binary = false, prune = false } = {}) {
+    assertIdle();
+    const job = {
+      id: crypto.randomUUID(),
+      status: "running",
+      binary,
+      prune,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      exitCode: null,
+      reload: null,
+      error: null,
+      log: [],
+    };
+    jobs.set(job.id, job);
+    running = job;
+
+    const args = [INGEST_SCRIPT, ...(binary ? ["--binary"] : []), ...(prune ? ["--prune"] : [])];
+    const child = spawn(process.execPath, args, {
+      cwd: path.dirname(kbDir),
+      env: process.env,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    job.child = child;
+
+    const collect = (buf) => {
+      for (const line of buf.toString("utf8").split("\n")) {
+        if (!line.trim()) continue;
+        job.log.push(line);
+        if (job.log.length > MAX_LOG_LINES) job.log.shift();
+      }
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+
+    let settled = false; // "error" and "close" can both fire
+    const finish = async (code, err) => {
+      if (settled) return;
+      settled = true;
+      job.exitCode = code;
+      if (err || code !== 0) {
+        job.status = "failed";
+        job.error = err ? err.message : `ingest exited with code ${code}`;
+      } else {
+        try {
+          job.reload = await onReload();
+          job.status = "succeeded";
+        } catch (e) {
+          job.status = "failed";
+          job.error = `KB reload failed: ${e.message}`;
+        }
+      }
+      job.finishedAt = new Date().toISOString();
+      delete job.child;
+      running = null;
+      console.log(`📚 [kb] Re-ingest ${job.id} ${job.status}${job.error ? `: ${job.error}` : ""}`);
+
+      // Forget the oldest finished jobs
+      for (const [id, j] of jobs) {
+        if (jobs.size <= MAX_JOBS) break;
+        if (j.finishedAt) jobs.delete(id);
+      }
+    };
+    child.on("error", (e) => finish(null, e));
+    child.on("close", (code) => finish(code));
+
+    const flags = [binary && "binary vectors", prune && "pruning"].filter(Boolean);
+    console.log(`📚 [kb] Re-ingest ${job.id} started${flags.length ? ` (${flags.join(", ")})` : ""}`);
+    return publicJob(job);
+  }
+
+  function getJob(id) {
+    const job = jobs.get(id);
+    return job ? publicJob(job) : null;
+  }
+
+  function listJobs() {
+    return [...jobs.values()].reverse().map((j) => {
+      const { log, ...rest } = publicJob(j);
+      return rest;
+    });
+  }
+
+  return { listSources, orphanSources, saveSource, deleteSource, startIngest, getJob, listJobs, isBusy: () => Boolean(running) };
+}
@@ -1,32 +1,201 @@
 // lib/prompt.js
+// The one prompt registry. System prompts are templates assembled from named
+// fragments (prompts/fragments/<name>.md) as listed in prompts/templates.json:
+//
+//   { "templates": { "mentor.hu": { "variants": [
+//       { "name": "control", "weight": 90, "fragments": ["hu/persona", …] },
+//       { "name": "concise", "weight": 10, "fragments": [ … ] } ] } } }
+//
+// Fragments may use {{siteName}}, {{language}} and {{disclaimer}}. Every
+// variant gets a version hash of its fragment list and texts; conversations
+// are assigned a variant by weight, stickily (hash of the conversation key).
+//
+// Unlike the glossary and safety rules, templates are NOT reloaded on mtime
+// change: load() validates the files and only then activates them, and the
+// last few loaded snapshots are kept in memory for rollback (after a restart
+// the files on disk are live again).
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 
-const PROMPT_PATH = path.join(process.cwd(), "prompts", "base.hu.md");
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(process.cwd(), "prompts");
 
-// Simple in-memory cache
-let CACHE = { text: "", mtimeMs: 0 };
+export const TEMPLATE_VARIABLES = ["siteName", "language", "disclaimer"];
 
-function readPromptFile() {
+// Used when no template could be loaded at all
+const FALLBACKS = {
+  hu: "Te vagy a Zöld Mentor. Válaszolj magyarul, világosan.",
+  en: "You are the Green Mentor. Answer in English, clearly.",
+};
+
+export class PromptTemplateError extends Error {
+  constructor(errors) {
+    super(`Invalid prompt templates: ${errors.join("; ")}`);
+    this.name = "PromptTemplateError";
+    this.errors = errors;
+  }
+}
+
+const sha1 = (s) => crypto.createHash("sha1").update(s).digest("hex");
+const VAR_RE = /\{\{\s*(\w+)\s*\}\}/g;
+const FRAGMENT_NAME = /^[\w-]+(\/[\w-]+)*$/;
+
+/** Read templates.json and every fragment it uses; returns { snapshot } or { errors } */
+function readSnapshot(dir, requiredTemplates) {
+  const errors = [];
+  let config;
   try {
-    const stat = fs.statSync(PROMPT_PATH);
-    if (!CACHE.text || stat.mtimeMs !== CACHE.mtimeMs) {
-      CACHE.text = fs.readFileSync(PROMPT_PATH, "utf8");
-      CACHE.mtimeMs = stat.mtimeMs;
-      console.log("[prompts] Loaded base.hu.md (" + Math.round(CACHE.text.length / 1024) + " KB)");
-    }
-    return CACHE.text;
+    config = JSON.parse(fs.readFileSync(path.join(dir, "templates.json"), "utf8"));
   } catch (e) {
-    console.warn("[prompts] Could not read prompts/base.hu.md, using fallback.");
-    return "Te a Zöld Mentor vagy — barátságos, pontos, gyakorlatias. Magyarul válaszolsz.";
+    return { errors: [`templates.json: ${e.message}`] };
   }
+
+  const fragments = {};
+  const templates = {};
+  for (const [name, t] of Object.entries(config.templates || {})) {
+    const variants = Array.isArray(t.variants) ? t.variants : [];
+    if (!variants.length) errors.push(`${name}: no variants`);
+    const seen = new Set();
+    for (const v of variants) {
+      const where = `${name}/${v.name}`;
+      if (!v.name || seen.has(v.name)) errors.push(`${name}: missing or duplicate variant name "${v.name ?? ""}"`);
+      seen.add(v.name);
+      if (!(typeof v.weight === "number" && v.weight >= 0)) errors.push(`${where}: weight must be a number ≥ 0`);
+      if (!Array.isArray(v.fragments) || !v.fragments.length) errors.push(`${where}: no fragments`);
+      for (const f of v.fragments || []) {
+        if (f in fragments) continue;
+        if (!FRAGMENT_NAME.test(f)) {
+          errors.push(`${where}: invalid fragment name "${f}"`);
+          continue;
+        }
+        try {
+          fragments[f] = fs.readFileSync(path.join(dir, "fragments", `${f}.md`), "utf8").trim();
+        } catch {
+          errors.push(`${where}: fragment "${f}" not found`);
+          continue;
+        }
+        for (const [, variable] of fragments[f].matchAll(VAR_RE)) {
+          if (!TEMPLATE_VARIABLES.includes(variable)) errors.push(`fragment "${f}": unknown variable {{${variable}}}`);
+        }
+      }
+    }
+    if (variants.length && !variants.some((v) => v.weight > 0)) errors.push(`${name}: every variant has weight 0`);
+    templates[name] = { description: t.description || "", variants };
+  }
+  for (const name of requiredTemplates) {
+    if (!templates[name]) errors.push(`template "${name}" is used by a site but not defined`);
+  }
+  if (errors.length) return { errors };
+
+  // A variant's version only changes when its fragment list or texts do
+  for (const t of Object.values(templates)) {
+    t.variants = t.variants.map((v) => ({
+      name: v.name,
+      weight: v.weight,
+      fragments: v.fragments,
+      version: sha1(v.fragments.map((f) => `${f}\n${fragments[f]}`).join("\n\0")).slice(0, 10),
+    }));
+  }
+  const id = sha1(JSON.stringify({ templates, fragments })).slice(0, 10);
+  return { snapshot: { id, loadedAt: new Date().toISOString(), templates, fragments } };
 }
 
-export function buildSystemPrompt() {
-  return readPromptFile();
+/** Stable number in [0, 1) for a conversation key and template */
+function bucket(key, template) {
+  return parseInt(sha1(`${template}\n${key}`).slice(0, 8), 16) / 0x100000000;
 }
 
-export function invalidatePromptCache() {
-  CACHE = { text: "", mtimeMs: 0 };
-  console.log("[prompts] Cache invalidated.");
+export function createPromptRegistry({ dir = PROMPTS_DIR, maxHistory = 10 } = {}) {
+  let active = null;
+  const history = []; // newest last, `active` included
+
+  const describe = (s) => ({
+    id: s.id,
+    loadedAt: s.loadedAt,
+    activatedAt: s.activatedAt,
+    templates: Object.fromEntries(
+      Object.entries(s.templates).map(([name, t]) => [
+        name,
+        t.variants.map(({ name: variant, weight, version }) => ({ variant, weight, version })),
+      ])
+    ),
+  });
+
+  function activate(snapshot) {
+    snapshot.activatedAt = new Date().toISOString();
+    active = snapshot;
+    const i = history.findIndex((s) => s.id === snapshot.id);
+    if (i > -1) history.splice(i, 1);
+    history.push(snapshot);
+    if (history.length > maxHistory) history.shift();
+    return describe(snapshot);
+  }
+
+  /**
+   * Validate and activate the files on disk. Throws PromptTemplateError (the
+   * active snapshot stays) when something is wrong. `requiredTemplates` are
+   * names that must exist (the ones sites point at).
+   */
+  function load({ requiredTemplates = [] } = {}) {
+    const { snapshot, errors } = readSnapshot(dir, requiredTemplates);
+    if (errors) throw new PromptTemplateError(errors);
+    const summary = activate(snapshot);
+    console.log(
+      `[prompts] Activated ${snapshot.id}: ` +
+        Object.entries(summary.templates)
+          .map(([name, vs]) => `${name} (${vs.map((v) => `${v.variant}@${v.version}`).join(", ")})`)
+          .join(", ")
+    );
+    return summary;
+  }
+
+  /** Re-activate an earlier snapshot: by id, or the one before the active one */
+  function rollback(id = null) {
+    const target = id
+      ? history.find((s) => s.id === id)
+      : history[history.indexOf(active) - 1];
+    if (!target) return null;
+    console.log(`[prompts] Rolled back ${active.id} → ${target.id}`);
+    return activate(target);
+  }
+
+  /** Weighted, sticky pick: the same key always gets the same variant while weights hold */
+  function pickVariant(template, key) {
+    const total = template.variants.reduce((a, v) => a + v.weight, 0);
+    let x = bucket(key, template.name) * total;
+    for (const v of template.variants) {
+      if (v.weight <= 0) continue;
+      if (x < v.weight) return v;
+      x -= v.weight;
+    }
+    return template.variants.find((v) => v.weight > 0);
+  }
+
+  /**
+   * Assemble a system prompt for a conversation.
+   * `variant` forces one (previews); returns { text, template, variant, version }.
+   */
+  function render(name, { key = "", vars = {}, lang = "hu", variant = null } = {}) {
+    const t = active?.templates[name];
+    if (!t) {
+      return { text: FALLBACKS[lang] || FALLBACKS.hu, template: name, variant: null, version: "fallback" };
+    }
+    const v = variant
+      ? t.variants.find((x) => x.name === variant)
+      : pickVariant({ name, variants: t.variants }, key);
+    if (!v) return null;
+    const text = v.fragments
+      .map((f) => active.fragments[f])
+      .join("\n\n")
+      .replace(VAR_RE, (_, variable) => String(vars[variable] ?? ""));
+    return { text, template: name, variant: v.name, version: v.version };
+  }
+
+  return {
+    load,
+    rollback,
+    render,
+    active: () => (active ? describe(active) : null),
+    history: () => history.map(describe).reverse(),
+  };
 }
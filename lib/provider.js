@@ -0,0 +1,343 @@
+// lib/provider.js
+// One place that knows how to talk to models: chat + embeddings, configured
+// from env. Backends:
+//   chat:       "openai" (Responses API), "openai-compatible" (/chat/completions,
+//               e.g. Ollama, llama.cpp, vLLM), "echo" (offline, deterministic)
+//   embeddings: "openai" (any OpenAI-compatible /embeddings), "hash" (offline)
+import OpenAI from "openai";
+import { tokenize } from "./tokenizer.js";
+
+/**
+ * Read provider settings from env.
+ *   CHAT_BACKEND, CHAT_MODEL, CHAT_BASE_URL, CHAT_API_KEY
+ *   EMBED_BACKEND, EMBED_MODEL, EMBED_BASE_URL, EMBED_API_KEY, EMBED_DIM
+ *   LLM_BASE_URL / OPENAI_BASE_URL and OPENAI_API_KEY are shared fallbacks.
+ *   OFFLINE=1 switches both to the built-in backends.
+ */
+export function providerConfigFromEnv(env = process.env) {
+  const offline = env.OFFLINE === "1";
+  const baseURL = env.LLM_BASE_URL || env.OPENAI_BASE_URL || undefined;
+  return {
+    chat: {
+      backend: env.CHAT_BACKEND || (offline ? "echo" : "openai"),
+      model: env.CHAT_MODEL || (offline ? "echo" : "gpt-5"),
+      baseURL: env.CHAT_BASE_URL || baseURL,
+      apiKey: env.CHAT_API_KEY || env.OPENAI_API_KEY,
+    },
+    embeddings: {
+      backend: env.EMBED_BACKEND || (offline ? "hash" : "openai"),
+      model: env.EMBED_MODEL || null, // null → retriever uses the KB manifest model
+      baseURL: env.EMBED_BASE_URL || baseURL,
+      apiKey: env.EMBED_API_KEY || env.OPENAI_API_KEY,
+      dim: Number(env.EMBED_DIM || 256), // hash backend only
+    },
+  };
+}
+
+// Created on first use, so a missing key only fails the calls that need it.
+// Local servers usually don't check keys, but the SDK insists on one.
+function lazyOpenAIClient({ apiKey, baseURL }) {
+  let client = null;
+  return () =>
+    (client ??= new OpenAI({ apiKey: apiKey || (baseURL ? "local" : undefined), baseURL }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Chat backends. complete() → { text, toolCalls, usage, model }; stream() yields
+// { type: "delta", text } … then { type: "tool_calls", calls } if the model
+// wants tools, then { type: "done", usage }.
+// usage is { input_tokens, output_tokens } when the backend reports it.
+//
+// Function calling, the same for every backend:
+//   tools:      [{ name, description, parameters }] (parameters: JSON Schema)
+//   toolChoice: "auto" (default) | "none" (tools stay declared but can't be called)
+//   tool calls: [{ id, name, arguments }] (arguments: JSON string)
+//   the caller answers by appending to `input`
+//     { role: "assistant", content: "", toolCalls }  and, per call,
+//     { role: "tool", toolCallId, content }
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Neutral messages → Responses API input items */
+function toResponsesInput(input) {
+  return input.flatMap((m) => {
+    if (m.toolCalls?.length) {
+      return m.toolCalls.map((c) => ({ type: "function_call", call_id: c.id, name: c.name, arguments: c.arguments }));
+    }
+    if (m.role === "tool") return [{ type: "function_call_output", call_id: m.toolCallId, output: m.content }];
+    return [{ role: m.role, content: m.content }];
+  });
+}
+
+const toResponsesTools = (tools) =>
+  tools.map((t) => ({ type: "function", name: t.name, description: t.description, parameters: t.parameters }));
+
+function createResponsesChat(cfg) {
+  const client = lazyOpenAIClient(cfg);
+  const request = ({ input, tools, toolChoice }) => ({
+    model: cfg.model,
+    input: toResponsesInput(input),
+    ...(tools?.length ? { tools: toResponsesTools(tools), tool_choice: toolChoice || "auto" } : {}),
+  });
+  return {
+    backend: "openai",
+    model: cfg.model,
+    async complete({ input, tools, toolChoice, signal }) {
+      const r = await client().responses.create(request({ input, tools, toolChoice }), { signal });
+      const toolCalls = (r.output || [])
+        .filter((item) => item.type === "function_call")
+        .map((item) => ({ id: item.call_id, name: item.name, arguments: item.arguments }));
+      return { text: r.output_text || "", toolCalls, usage: r.usage || null, model: cfg.model };
+    },
+    async *stream({ input, tools, toolChoice, signal }) {
+      const stream = await client().responses.create(
+        { ...request({ input, tools, toolChoice }), stream: true },
+        { signal }
+      );
+      const calls = [];
+      for await (const event of stream) {
+        if (event.type === "response.output_text.delta") {
+          yield { type: "delta", text: event.delta };
+        } else if (event.type === "response.output_item.done" && event.item?.type === "function_call") {
+          calls.push({ id: event.item.call_id, name: event.item.name, arguments: event.item.arguments });
+        } else if (event.type === "response.completed") {
+          if (calls.length) yield { type: "tool_calls", calls };
+          yield { type: "done", usage: event.response?.usage || null };
+        } else if (event.type === "error") {
+          throw new Error(event.message || "Stream error");
+        }
+      }
+    },
+  };
+}
+
+const toChatUsage = (u) =>
+  u ? { input_tokens: u.prompt_tokens, output_tokens: u.completion_tokens } : null;
+
+/** Neutral messages → /chat/completions messages */
+function toChatMessages(input) {
+  return input.map((m) => {
+    if (m.toolCalls?.length) {
+      return {
+        role: "assistant",
+        content: m.content || null,
+        tool_calls: m.toolCalls.map((c) => ({
+          id: c.id,
+          type: "function",
+          function: { name: c.name, arguments: c.arguments },
+        })),
+      };
+    }
+    if (m.role === "tool") return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+    return { role: m.role, content: m.content };
+  });
+}
+
+const toChatTools = (tools) =>
+  tools.map((t) => ({
+    type: "function",
+    function: { name: t.name, description: t.description, parameters: t.parameters },
+  }));
+
+function createCompatChat(cfg) {
+  const client = lazyOpenAIClient(cfg);
+  // Some local servers reject an empty tools array, so it is only sent when needed
+  const request = ({ input, tools, toolChoice }) => ({
+    model: cfg.model,
+    messages: toChatMessages(input),
+    ...(tools?.length ? { tools: toChatTools(tools), tool_choice: toolChoice || "auto" } : {}),
+  });
+  return {
+    backend: "openai-compatible",
+    model: cfg.model,
+    async complete({ input, tools, toolChoice, signal }) {
+      const r = await client().chat.completions.create(request({ input, tools, toolChoice }), { signal });
+      const message = r.choices?.[0]?.message;
+      return {
+        text: message?.content || "",
+        toolCalls: (message?.tool_calls || []).map((c) => ({
+          id: c.id,
+          name: c.function.name,
+          arguments: c.function.arguments,
+        })),
+        usage: toChatUsage(r.usage),
+        model: cfg.model,
+      };
+    },
+    async *stream({ input, tools, toolChoice, signal }) {
+      const stream = await client().chat.completions.create(
+        { ...request({ input, tools, toolChoice }), stream: true, stream_options: { include_usage: true } },
+        { signal }
+      );
+      let usage = null;
+      const calls = []; // assembled from fragments, by index
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta;
+        if (delta?.content) yield { type: "delta", text: delta.content };
+        for (const part of delta?.tool_calls || []) {
+          const call = (calls[part.index ?? 0] ??= { id: "", name: "", arguments: "" });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) call.arguments += part.function.arguments;
+        }
+        if (chunk.usage) usage = toChatUsage(chunk.usage);
+      }
+      if (calls.length) yield { type: "tool_calls", calls: calls.filter(Boolean) };
+      yield { type: "done", usage };
+    },
+  };
+}
+
+/**
+ * Offline chat: answers with the question and the KB sources it was given,
+ * so the whole retrieval → answer path can be exercised without a network.
+ * Given tools, it first calls the first one once with the question as every
+ * string argument, then answers including what the tool returned.
+ */
+function createEchoChat(cfg) {
+  const lastUserIndex = (input) => input.findLastIndex((m) => m.role === "user");
+
+  function answer(input) {
+    const lastUser = input[lastUserIndex(input)];
+    const sources = input
+      .filter((m) => m.role === "system" || m.role === "tool")
+      .flatMap((m) => String(m.content).match(/^#\d+ FORRÁS: .*$/gm) || []);
+    const lines = [`[echo] ${lastUser ? lastUser.content : ""}`];
+    if (sources.length) lines.push("", ...sources);
+    return lines.join("\n");
+  }
+
+  // One call per question: none once a tool result follows the last user message
+  function toolCallsFor(input, tools, toolChoice) {
+    if (!tools?.length || toolChoice === "none") return [];
+    const i = lastUserIndex(input);
+    if (input.slice(i + 1).some((m) => m.role === "tool")) return [];
+    const tool = tools[0];
+    const question = String(input[i]?.content || "");
+    const args = Object.fromEntries(
+      Object.entries(tool.parameters?.properties || {})
+        .filter(([, p]) => p.type === "string")
+        .map(([name]) => [name, question])
+    );
+    return [{ id: `echo_call_${i}`, name: tool.name, arguments: JSON.stringify(args) }];
+  }
+
+  const usageFor = (input, text) => ({
+    input_tokens: Math.ceil(input.reduce((a, m) => a + String(m.content || "").length, 0) / 4),
+    output_tokens: Math.ceil(text.length / 4),
+  });
+  return {
+    backend: "echo",
+    model: cfg.model,
+    async complete({ input, tools, toolChoice }) {
+      const toolCalls = toolCallsFor(input, tools, toolChoice);
+      const text = toolCalls.length ? "" : answer(input);
+      return { text, toolCalls, usage: usageFor(input, text), model: cfg.model };
+    },
+    async *stream({ input, tools, toolChoice, signal }) {
+      const toolCalls = toolCallsFor(input, tools, toolChoice);
+      if (toolCalls.length) {
+        yield { type: "tool_calls", calls: toolCalls };
+        yield { type: "done", usage: usageFor(input, "") };
+        return;
+      }
+      const text = answer(input);
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) throw new Error("Aborted");
+        yield { type: "delta", text: piece };
+      }
+      yield { type: "done", usage: usageFor(input, text) };
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Embedding backends. embed(texts) → { vectors, usage, model }
+// ─────────────────────────────────────────────────────────────────────────────
+function createOpenAIEmbeddings(cfg, model) {
+  const client = lazyOpenAIClient(cfg);
+  return {
+    backend: "openai",
+    model,
+    async embed(texts) {
+      const r = await client().embeddings.create({ model, input: texts });
+      return {
+        vectors: r.data.map((d) => d.embedding),
+        usage: r.usage ? { input_tokens: r.usage.prompt_tokens } : null,
+        model,
+      };
+    },
+  };
+}
+
+// FNV-1a, good enough to spread tokens over buckets
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Offline embedder: signed feature hashing of stemmed tokens and their
+ * bigrams, L2-normalised. Deterministic, so shards and queries agree.
+ */
+function createHashEmbeddings(cfg, model) {
+  const dim = cfg.dim;
+  function vector(text) {
+    const v = new Array(dim).fill(0);
+    const toks = tokenize(text);
+    const feats = [...toks, ...toks.slice(1).map((t, i) => `${toks[i]}_${t}`)];
+    for (const f of feats) {
+      const h = fnv1a(f);
+      v[h % dim] += h & 0x80000000 ? -1 : 1;
+    }
+    const norm = Math.sqrt(v.reduce((a, x) => a + x * x, 0)) || 1;
+    return v.map((x) => x / norm);
+  }
+  return {
+    backend: "hash",
+    model,
+    async embed(texts) {
+      return {
+        vectors: texts.map(vector),
+        usage: { input_tokens: texts.reduce((a, t) => a + Math.ceil(t.length / 4), 0) },
+        model,
+      };
+    },
+  };
+}
+
+/**
+ * Build { chat, embeddings(model?) } from a config (see providerConfigFromEnv).
+ * embeddings() takes the model as an argument because the retriever picks it
+ * from the KB manifest when none is configured.
+ */
+export function createProvider(config = providerConfigFromEnv()) {
+  const chatFactories = {
+    openai: createResponsesChat,
+    "openai-compatible": createCompatChat,
+    echo: createEchoChat,
+  };
+  const makeChat = chatFactories[config.chat.backend];
+  if (!makeChat) throw new Error(`Unknown CHAT_BACKEND: ${config.chat.backend}`);
+
+  const e = config.embeddings;
+  if (e.backend !== "openai" && e.backend !== "hash")
+    throw new Error(`Unknown EMBED_BACKEND: ${e.backend}`);
+
+  let chat = null;
+  return {
+    config,
+    get chat() {
+      chat ??= makeChat(config.chat);
+      return chat;
+    },
+    embeddings(model = e.model) {
+      // The hash embedder is only ever compatible with itself, whatever was asked for
+      if (e.backend === "hash") return createHashEmbeddings(e, `local-hash-${e.dim}`);
+      return createOpenAIEmbeddings(e, model || "text-embedding-3-small");
+    },
+  };
+}
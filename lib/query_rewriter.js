@@ -0,0 +1,100 @@
+// lib/query_rewriter.js
+// Turn a follow-up question into a standalone retrieval query using the
+// conversation history ("és a gyökerét?" → "körömvirág és a gyökerét?").
+
+// Openers that usually mean "same topic as before"
+const FOLLOW_UP_RE =
+  /^\s*(és|meg|de|hát|illetve|akkor|ezt|azt|ennek|annak|ebből|abból|and|but|also|what about|how about|and for|is it|does it|can it)\b/i;
+
+// Pronouns standing in for something named earlier ("Mennyi ideig áztassam?" has none)
+const PRONOUN_RE =
+  /(?<![\p{L}])(ezt|azt|ennek|annak|ebből|abból|ezzel|azzal|ehhez|ahhoz|ezek|azok|ezeket|azokat|belőle|vele|hozzá|it|its|this|that|them|they|these|those)(?![\p{L}])/iu;
+
+const REWRITE_INSTRUCTIONS =
+  "Rewrite the user's last question as one standalone search query for a herbal " +
+  "knowledge base. Resolve pronouns and missing subjects (herb names, preparations) " +
+  "from the conversation. Keep the language of the question. Output only the query.";
+
+const LOOKBACK = 6; // history messages considered
+
+/**
+ * mode:
+ *   "carryover" (default) — add herbs named earlier in the conversation to a
+ *                           follow-up (an opener or a pronoun) that names none;
+ *                           herbs are found with the glossary and `herbs()`,
+ *                           the herb index lookup (no model)
+ *   "llm"                 — ask the chat model for a standalone query, falling
+ *                           back to carry-over on error
+ *   "off"                 — use the question as-is
+ */
+export function createQueryRewriter({ provider, glossary, herbs = () => null, mode = "carryover" } = {}) {
+  // The echo backend can't rewrite anything useful
+  const llmAvailable = provider && provider.config.chat.backend !== "echo";
+
+  const namesHerb = (text) => glossary.findHerbs(text).length > 0 || (herbs()?.find(text).length ?? 0) > 0;
+
+  function carryOver(question, history) {
+    const recent = history.slice(-LOOKBACK);
+    // A new herb, or a question that doesn't point back, stands on its own
+    if (namesHerb(question) || !(FOLLOW_UP_RE.test(question) || PRONOUN_RE.test(question))) {
+      return { query: question, method: "none", entities: [] };
+    }
+
+    // Most recent herb mentions first (user turns, then assistant turns)
+    const herbs = [];
+    for (const role of ["user", "assistant"]) {
+      for (const m of [...recent].reverse()) {
+        if (m.role !== role) continue;
+        for (const h of glossary.findHerbs(String(m.content || ""))) {
+          if (!herbs.includes(h)) herbs.push(h);
+        }
+      }
+      if (herbs.length) break;
+    }
+    if (herbs.length) {
+      const names = herbs.slice(0, 2).map((h) => h.hu?.[0] || h.en?.[0] || h.latin);
+      return { query: `${names.join(" ")} ${question}`, method: "carryover", entities: names };
+    }
+
+    // No herb to carry: prepend the previous question
+    const prevUser = [...recent].reverse().find((m) => m.role === "user");
+    if (prevUser) {
+      return { query: `${prevUser.content} ${question}`, method: "carryover", entities: [] };
+    }
+    return { query: question, method: "none", entities: [] };
+  }
+
+  async function llmRewrite(question, history) {
+    const transcript = history
+      .slice(-LOOKBACK)
+      .map((m) => `${m.role === "user" ? "User" : "Mentor"}: ${String(m.content).slice(0, 600)}`)
+      .join("\n");
+    const { text, usage } = await provider.chat.complete({
+      input: [
+        { role: "system", content: REWRITE_INSTRUCTIONS },
+        { role: "user", content: `${transcript}\n\nLast question: ${question}` },
+      ],
+      signal: AbortSignal.timeout(8000),
+    });
+    const query = text.trim().split("\n")[0].replace(/^["„]|["”]$/g, "");
+    if (!query) throw new Error("empty rewrite");
+    return { query, method: "llm", entities: [], usage };
+  }
+
+  /** Returns { query, method: "none" | "carryover" | "llm", entities, usage? } */
+  async function rewrite(question, history = []) {
+    if (mode === "off" || !history.length) {
+      return { query: question, method: "none", entities: [] };
+    }
+    if (mode === "llm" && llmAvailable) {
+      try {
+        return await llmRewrite(question, history);
+      } catch (e) {
+        console.warn(`[rewrite] LLM rewrite failed (${e.message}), using carry-over.`);
+      }
+    }
+    return carryOver(question, history);
+  }
+
+  return { rewrite, mode };
+}
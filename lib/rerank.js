@@ -0,0 +1,153 @@
+// lib/rerank.js
+// Post-retrieval stage: drop near-duplicates, pick a diverse top-k (MMR) and
+// merge consecutive chunks of the same source into one passage.
+import { rowScore } from "./vector_index.js";
+
+export const RERANK_DEFAULTS = {
+  dedupe: true,
+  dupThreshold: 0.92,   // cosine (or shingle Jaccard) at/above which hits are duplicates
+  mmrLambda: 0.7,       // 1 = pure relevance, 0 = pure diversity
+  sourcePenalty: 0.05,  // extra redundancy per already-picked hit from the same source
+  merge: true,
+  maxMergeChars: 2600,  // don't grow merged passages beyond this
+};
+
+// Word 3-gram shingles, for when no vectors are available
+function shingles(text) {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  const out = new Set();
+  for (let i = 0; i + 2 < words.length; i++) out.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  return out;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+/** Chunk number within its source: position.index, or the "#n" suffix of legacy ids */
+function ordinal(hit) {
+  if (Number.isInteger(hit.position?.index)) return hit.position.index;
+  const n = Number(String(hit.id ?? "").split("#").pop());
+  return Number.isInteger(n) ? n : null;
+}
+
+/** Longest suffix of `a` that is a prefix of `b` (the ingest overlap), capped */
+function overlapLength(a, b, max = 600) {
+  for (let len = Math.min(max, a.length, b.length); len >= 20; len--) {
+    if (a.endsWith(b.slice(0, len))) return len;
+  }
+  return 0;
+}
+
+function makeSimilarity(vectors) {
+  const sh = new Map();
+  const shOf = (h) => {
+    if (!sh.has(h)) sh.set(h, shingles(h.text));
+    return sh.get(h);
+  };
+  return (a, b) => {
+    const textSim = jaccard(shOf(a), shOf(b));
+    if (vectors?.dim && a.row != null && b.row != null) {
+      const row = vectors.matrix.subarray(b.row * vectors.dim, (b.row + 1) * vectors.dim);
+      return Math.max(textSim, rowScore(vectors, row, a.row));
+    }
+    return textSim;
+  };
+}
+
+/** Merge hits that are consecutive chunks of one source, in reading order */
+function mergeAdjacent(hits, maxChars) {
+  const bySource = new Map();
+  for (const h of hits) {
+    if (!bySource.has(h.source)) bySource.set(h.source, []);
+    bySource.get(h.source).push(h);
+  }
+
+  const merged = [];
+  for (const group of bySource.values()) {
+    group.sort((a, b) => (ordinal(a) ?? 0) - (ordinal(b) ?? 0));
+    let cur = null;
+    for (const h of group) {
+      const n = ordinal(h);
+      const adjacent =
+        cur && n != null && cur.lastOrdinal != null && n === cur.lastOrdinal + 1 &&
+        cur.text.length + h.text.length <= maxChars;
+      if (adjacent) {
+        const ov = overlapLength(cur.text, h.text);
+        cur.text = ov ? cur.text + h.text.slice(ov) : `${cur.text}\n\n${h.text}`;
+        cur.ids.push(h.id);
+        cur.score = Math.max(cur.score, h.score);
+        cur.kw = Math.max(cur.kw, h.kw);
+        cur.sem = Math.max(cur.sem, h.sem);
+        if (cur.position && h.position) cur.position = { ...cur.position, end: h.position.end };
+        cur.lastOrdinal = n;
+      } else {
+        if (cur) merged.push(cur);
+        cur = { ...h, ids: [h.id], lastOrdinal: n };
+      }
+    }
+    if (cur) merged.push(cur);
+  }
+
+  return merged
+    .map(({ lastOrdinal, ...h }) => h)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * hits: retriever hits sorted by score (each may carry `row`, its matrix row).
+ * Returns { hits, stats } with at most `k` passages.
+ */
+export function rerank(hits, { k, vectors = null, ...opts } = {}) {
+  const o = { ...RERANK_DEFAULTS, ...opts };
+  const sim = makeSimilarity(vectors);
+  const stats = { pool: hits.length, duplicates: 0, merged: 0, params: o };
+
+  // 1) Near-duplicates: keep the higher-scoring one
+  let pool = hits;
+  if (o.dedupe) {
+    pool = [];
+    for (const h of hits) {
+      if (pool.some((p) => p.source === h.source && overlapLength(p.text, h.text) > h.text.length * 0.5) ||
+          pool.some((p) => sim(p, h) >= o.dupThreshold)) {
+        stats.duplicates++;
+        continue;
+      }
+      pool.push(h);
+    }
+  }
+
+  // 2) MMR selection
+  const selected = [];
+  const remaining = [...pool];
+  while (selected.length < k && remaining.length) {
+    let best = -1;
+    let bestScore = -Infinity;
+    remaining.forEach((h, i) => {
+      let redundancy = 0;
+      let sameSource = 0;
+      for (const s of selected) {
+        redundancy = Math.max(redundancy, sim(h, s));
+        if (s.source === h.source) sameSource++;
+      }
+      const mmr = o.mmrLambda * h.score - (1 - o.mmrLambda) * redundancy - o.sourcePenalty * sameSource;
+      if (mmr > bestScore) {
+        bestScore = mmr;
+        best = i;
+      }
+    });
+    selected.push(remaining.splice(best, 1)[0]);
+  }
+
+  // 3) Adjacent merging
+  let out = selected.sort((a, b) => b.score - a.score);
+  if (o.merge) {
+    const before = out.length;
+    out = mergeAdjacent(out, o.maxMergeChars);
+    stats.merged = before - out.length;
+  }
+  return { hits: out.map((h) => (h.ids ? h : { ...h, ids: [h.id] })), stats };
+}
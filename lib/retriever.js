@@ -1,38 +1,31 @@
 // lib/retriever.js
-import OpenAI from "openai";
-import { normalize } from "./kb_loader.js";
-
-// Add/extend as needed
-const SYNONYMS = {
-  calendula: ["körömvirág", "marigold"],
-  marigold: ["calendula", "körömvirág"],
-  "körömvirág": ["calendula", "marigold"],
-  yarrow: ["cickafark", "achillea"],
-  "cickafark": ["yarrow", "achillea"],
-  plantain: ["útifű", "plantago"],
-  "útifű": ["plantain", "plantago"],
-  ginger: ["gyömbér", "zingiber"],
-  "gyömbér": ["ginger", "zingiber"],
-};
-
-function expandQuery(q) {
-  const nq = normalize(q);
-  const parts = nq.split(/\s+/).filter(Boolean);
-  const bag = new Set(parts);
-  for (const p of parts) {
-    if (SYNONYMS[p]) for (const s of SYNONYMS[p]) bag.add(normalize(s));
-  }
-  return Array.from(bag);
+import { normalize, tokenize } from "./tokenizer.js";
+import { normalizeQuery, rowScore, topK } from "./vector_index.js";
+import { rerank } from "./rerank.js";
+
+// Synonyms come from the shared glossary (kb/glossary.json, lib/glossary.js)
+function expandQuery(q, glossary) {
+  const parts = tokenize(q);
+  return glossary ? glossary.expandTokens(parts) : parts;
 }
 
-function cosine(a, b) {
-  let dot = 0, na = 0, nb = 0;
-  const L = Math.min(a.length, b.length);
-  for (let i = 0; i < L; i++) {
-    dot += a[i] * b[i]; na += a[i]*a[i]; nb += b[i]*b[i];
+/**
+ * Metadata filter, e.g. { module: "Preparations", lang: "hu" }.
+ * Every key must match (case-insensitive); an array filter value means
+ * "any of", and an array metadata value matches if it contains the value.
+ * `source` matches the chunk's source file (used for per-site KB subsets).
+ */
+export function matchesFilters(chunk, filters) {
+  if (!filters) return true;
+  for (const [key, want] of Object.entries(filters)) {
+    if (want == null || want === "") continue;
+    const have = key === "source" ? chunk.source : chunk.meta?.[key];
+    if (have == null) return false;
+    const haveList = (Array.isArray(have) ? have : [have]).map((v) => normalize(v));
+    const wantList = (Array.isArray(want) ? want : [want]).map((v) => normalize(v));
+    if (!wantList.some((w) => haveList.includes(w))) return false;
   }
-  if (!na || !nb) return 0;
-  return dot / Math.sqrt(na * nb);
+  return true;
 }
 
 function bm25Lite({ tokens, inverted, avgdl, docLens, k1 = 1.2, b = 0.75 }) {
@@ -62,18 +55,89 @@ function bm25Lite({ tokens, inverted, avgdl, docLens, k1 = 1.2, b = 0.75 }) {
   return scores;
 }
 
-export function createRetriever(kb, { openaiApiKey, embedModel = "text-embedding-3-large" } = {}) {
-  const client = new OpenAI({ apiKey: openaiApiKey });
-  const docLens = kb.chunks.map((c) => (c.normText.match(/[a-z0-9]+/g) || []).length || 1);
+/**
+ * Decide whether query embeddings from `embedModel` can be compared with the
+ * KB vectors. Returns { ok, reason }.
+ */
+function checkEmbeddingCompat(manifest, embedModel) {
+  if (!manifest) return { ok: true, reason: "no manifest" };
+  if (!manifest.consistent)
+    return { ok: false, reason: "KB shards use mixed embedding models/dimensions" };
+  if (manifest.model && manifest.model !== embedModel)
+    return { ok: false, reason: `KB embedded with ${manifest.model}, query model is ${embedModel}` };
+  return { ok: true, reason: manifest.model ? "model match" : "legacy shards, dimension checked per query" };
+}
+
+/**
+ * `provider` is a lib/provider.js instance; query embeddings default to the
+ * model the KB was built with (manifest), unless `embedModel` overrides it.
+ */
+export function createRetriever(kb, { provider, embedModel, strictEmbeddings = false, glossary = null } = {}) {
+  const docLens = kb.docLens;
+
+  const embedder = provider.embeddings(embedModel || kb.manifest?.model || null);
+  embedModel = embedder.model;
+  const compat = checkEmbeddingCompat(kb.manifest, embedModel);
+  let semanticEnabled = compat.ok;
+  let semanticReason = compat.reason;
+  if (!compat.ok) {
+    if (strictEmbeddings) throw new Error(`[retriever] ${compat.reason}`);
+    console.warn(`⚠️ [retriever] ${compat.reason} — semantic search DISABLED, keyword-only.`);
+  }
+
+  async function embedQuery(q, explain) {
+    const { vectors, usage } = await embedder.embed([q]);
+    if (explain) explain.embeddingUsage = usage;
+    const emb = vectors[0];
+    const kbDim = kb.vectors.dim || kb.manifest?.dim;
+    if (kbDim && emb.length !== kbDim) {
+      semanticEnabled = false;
+      semanticReason = `query embedding has ${emb.length} dims, KB has ${kbDim}`;
+      console.warn(`⚠️ [retriever] ${semanticReason} — semantic search DISABLED, keyword-only.`);
+      return null;
+    }
+    return emb;
+  }
+
+  // Rolling per-query latency, reported by /kb-stats
+  const latencies = [];
+  let queryCount = 0;
 
-  async function embedQuery(q) {
-    const res = await client.embeddings.create({ model: embedModel, input: q });
-    return res.data[0].embedding;
+  function recordLatency(ms) {
+    queryCount++;
+    latencies.push(ms);
+    if (latencies.length > 200) latencies.shift();
   }
 
-  /** Hybrid search with robust fallbacks */
-  async function search(query, { k = 12, k_kw = 80, alpha = 0.55 } = {}) {
-    const expanded = expandQuery(query);
+  const toHit = (i, { score, kw, sem }) => ({
+    row: i, // row in kb.vectors, used by the reranker
+    id: kb.chunks[i].id,
+    source: kb.chunks[i].source,
+    section: kb.chunks[i].section,
+    meta: kb.chunks[i].meta,
+    position: kb.chunks[i].position,
+    score, kw, sem,
+    text: kb.chunks[i].text,
+  });
+
+  /**
+   * Hybrid search: BM25 top `k_kw` and exact vector top `k_sem` over the full
+   * corpus, merged with weighted reciprocal rank fusion
+   *   score = (K+1) · (alpha/(K + semRank) + (1-alpha)/(K + kwRank))
+   * (normalised so a doc ranked first by both lists scores 1).
+   * The best `k * poolFactor` then go through lib/rerank.js (dedupe, MMR,
+   * adjacent merging; its options — dedupe, dupThreshold, mmrLambda,
+   * sourcePenalty, merge, maxMergeChars — can be passed here too).
+   * Pass an `explain` object to receive the rerank stats and the query
+   * embedding usage (for usage accounting).
+   */
+  async function search(query, {
+    k = 12, k_kw = 80, k_sem = 80, alpha = 0.55, rrfK = 60, filters = null,
+    poolFactor = 3, explain = null, ...rerankOpts
+  } = {}) {
+    const t0 = performance.now();
+    const allowed = filters ? (id) => matchesFilters(kb.chunks[id], filters) : null;
+    const expanded = expandQuery(query, glossary);
     const bm = bm25Lite({
       tokens: expanded,
       inverted: kb.inverted,
@@ -81,57 +145,86 @@ export function createRetriever(kb, { openaiApiKey, embedModel = "text-embedding
       docLens,
     });
 
-    // Preselect by keyword first
-    const pre = [...bm.entries()]
+    const kwRanked = [...bm.entries()]
+      .filter(([docId]) => !allowed || allowed(docId))
       .sort((a, b) => b[1] - a[1])
-      .slice(0, k_kw)
-      .map(([docId]) => docId);
-
-    // If no keyword hits, scan a subset of all docs
-    let candidateIds = pre.length
-      ? pre
-      : [...Array(kb.chunks.length).keys()].slice(0, Math.min(2000, kb.chunks.length));
+      .slice(0, k_kw);
 
     // Query embedding
     let qEmb = null;
-    try { qEmb = await embedQuery(query); } catch { qEmb = null; }
-
-    const results = [];
-    for (const id of candidateIds) {
-      const ch = kb.chunks[id];
-      const kwScore = bm.get(id) || 0;
-      const semScore = qEmb ? cosine(qEmb, ch.embedding) : 0;
-      const hybrid = alpha * semScore + (1 - alpha) * Math.tanh(kwScore);
-      results.push({ id, hybrid, kwScore, semScore, chunk: ch });
+    if (semanticEnabled) {
+      try { qEmb = await embedQuery(query, explain); } catch { qEmb = null; }
     }
+    const q = qEmb ? normalizeQuery(qEmb) : null;
+    const semRanked = q ? topK(kb.vectors, q, k_sem, allowed) : [];
+
+    // Reciprocal rank fusion
+    const fused = new Map(); // id → { rrf, kw, sem }
+    const entry = (id) => {
+      if (!fused.has(id)) fused.set(id, { rrf: 0, kw: bm.get(id) || 0, sem: null });
+      return fused.get(id);
+    };
+    kwRanked.forEach(([id], rank) => {
+      entry(id).rrf += (1 - alpha) / (rrfK + rank + 1);
+    });
+    semRanked.forEach(([id, sim], rank) => {
+      const e = entry(id);
+      e.rrf += alpha / (rrfK + rank + 1);
+      e.sem = sim;
+    });
 
-    results.sort((a, b) => b.hybrid - a.hybrid);
-    let top = results.slice(0, k).map((r) => ({
-      id: r.chunk.id,
-      source: r.chunk.source,
-      score: r.hybrid,
-      kw: r.kwScore,
-      sem: r.semScore,
-      text: r.chunk.text,
-    }));
+    const pool = [...fused.entries()]
+      .sort((a, b) => b[1].rrf - a[1].rrf)
+      .slice(0, k * poolFactor)
+      .map(([id, e]) =>
+        toHit(id, {
+          score: e.rrf * (rrfK + 1),
+          kw: e.kw,
+          // keyword-only hits still get a cosine so callers can compare
+          sem: e.sem ?? (q ? rowScore(kb.vectors, q, id) : 0),
+        })
+      );
+
+    const reranked = rerank(pool, { k, vectors: q ? kb.vectors : null, ...rerankOpts });
+    let top = reranked.hits;
+    if (explain) explain.rerank = reranked.stats;
 
     // Last-ditch fallback: naive substring search
     if (top.length === 0) {
       const nq = normalize(query);
       top = kb.chunks
-        .map((c, i) => ({ i, hit: c.normText.includes(nq) }))
+        .map((c, i) => ({ i, hit: (!allowed || allowed(i)) && c.normText.includes(nq) }))
         .filter((h) => h.hit)
         .slice(0, k)
-        .map(({ i }) => ({
-          id: kb.chunks[i].id,
-          source: kb.chunks[i].source,
-          score: 0.01, kw: 0.01, sem: 0,
-          text: kb.chunks[i].text,
-        }));
+        .map(({ i }) => ({ ...toHit(i, { score: 0.01, kw: 0.01, sem: 0 }), ids: [kb.chunks[i].id] }));
     }
 
+    recordLatency(performance.now() - t0);
     return top;
   }
 
-  return { search };
+  function latencyStats() {
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const pct = (p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null);
+    const ms = (x) => (x == null ? null : Number(x.toFixed(2)));
+    return {
+      count: queryCount,
+      lastMs: ms(latencies[latencies.length - 1] ?? null),
+      p50Ms: ms(pct(0.5)),
+      p95Ms: ms(pct(0.95)),
+    };
+  }
+
+  function embeddingInfo() {
+    return {
+      backend: embedder.backend,
+      queryModel: embedModel,
+      kbModel: kb.manifest?.model ?? null,
+      kbDim: kb.manifest?.dim ?? null,
+      semanticEnabled,
+      reason: semanticReason,
+    };
+  }
+
+  return { search, embeddingInfo, latencyStats };
 }
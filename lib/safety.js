@@ -0,0 +1,233 @@
+// lib/safety.js
+// Rule-based safety screening around /chat: classify the question before
+// retrieval (emergency, dosage, drug–herb interaction, pregnancy/children)
+// and catch numeric doses in the answer. Rules and templates live in
+// prompts/safety.json (reloaded on change, like the glossary).
+import fs from "fs";
+import path from "path";
+import { normalize } from "./tokenizer.js";
+
+const SAFETY_PATH =
+  process.env.SAFETY_PATH || path.join(process.cwd(), "prompts", "safety.json");
+
+// Most urgent first: a "respond" category ends the turn before the model is called
+const CATEGORY_ORDER = ["emergency", "dosage", "interaction", "pregnancy_children"];
+// Turns that hit these get the strict answer check (postCheck.strictContext too)
+const DOSE_SENSITIVE = new Set(["dosage", "interaction", "pregnancy_children"]);
+
+const HU_HINT = /[áéíóöőúüű]|(?<![\p{L}])(és|hogy|mit|mire|hogyan|milyen|vagy|nem|mennyi|szabad)(?![\p{L}])/iu;
+
+/** "hu" unless the text looks English */
+export function detectLanguage(text) {
+  return HU_HINT.test(String(text || "")) ? "hu" : "en";
+}
+
+const pick = (byLang, lang) =>
+  typeof byLang === "string" ? byLang : byLang?.[lang] || byLang?.hu || "";
+
+function compile(data) {
+  const categories = [];
+  for (const [name, c] of Object.entries(data.categories || {})) {
+    categories.push({
+      name,
+      action: c.action || "instruct",
+      // Anchored at the start of a word; Hungarian endings may follow
+      patterns: (c.patterns || []).map((p) => new RegExp(`(?<![\\p{L}\\d])(?:${p})`, "iu")),
+      template: c.template,
+      instructions: c.instructions,
+    });
+  }
+  categories.sort((a, b) => {
+    const ia = CATEGORY_ORDER.indexOf(a.name);
+    const ib = CATEGORY_ORDER.indexOf(b.name);
+    return (ia < 0 ? 99 : ia) - (ib < 0 ? 99 : ib);
+  });
+
+  const pc = data.postCheck || {};
+  const num = "\\d+(?:[.,]\\d+)?(?:\\s*[-–]\\s*\\d+(?:[.,]\\d+)?)?";
+  return {
+    version: data.version ?? null,
+    categories,
+    post: pc.units
+      ? {
+          action: pc.action || "flag",
+          // unit plus an optional Hungarian ending ("2 csészét", "20 cseppnyi")
+          dose: new RegExp(`${num}\\s*(?:${pc.units})(?:-?(?:ot|et|at|t|nyi))?(?![\\p{L}])`, "iu"),
+          context: pc.context ? new RegExp(`(?<![\\p{L}])(?:${pc.context})`, "iu") : null,
+          strictContext: pc.strictContext
+            ? new RegExp(`(?<![\\p{L}])(?:${[pc.context, pc.strictContext].filter(Boolean).join("|")})`, "iu")
+            : null,
+          frequency: pc.frequency ? new RegExp(pc.frequency, "iu") : null,
+          replacement: pc.replacement,
+        }
+      : null,
+  };
+}
+
+/** Sentence-ish pieces, keeping the separators so the text can be rebuilt */
+function splitSentences(text) {
+  return text.split(/(?<=[.!?…])(\s+)|(\n+)/).filter((p) => p !== undefined && p !== "");
+}
+
+export function createSafety(filePath = SAFETY_PATH) {
+  let compiled = compile({});
+  let mtimeMs = 0;
+
+  function current() {
+    try {
+      const stat = fs.statSync(filePath);
+      if (stat.mtimeMs !== mtimeMs) {
+        compiled = compile(JSON.parse(fs.readFileSync(filePath, "utf8")));
+        mtimeMs = stat.mtimeMs;
+        console.log(
+          `[safety] Loaded ${path.basename(filePath)} (${compiled.categories.length} categories)`
+        );
+      }
+    } catch (e) {
+      if (mtimeMs !== -1) console.warn(`[safety] Could not load ${filePath}: ${e.message}`);
+      mtimeMs = -1;
+    }
+    return compiled;
+  }
+
+  /**
+   * Classify a question. Returns
+   *   { lang, triggers: [{ category, action, match }], response?, instructions: [], strict }
+   * `response` is set when a "respond" category matched (the model is skipped);
+   * `strict` when a dose-sensitive category did (see checkAnswer()).
+   * `lang` picks the template language (default: detected from the question).
+   */
+  function screen(question, { lang = detectLanguage(question) } = {}) {
+    const text = normalize(question);
+    const triggers = [];
+    const instructions = [];
+    let response = null;
+
+    for (const c of current().categories) {
+      const hit = c.patterns.map((re) => text.match(re)).find(Boolean);
+      if (!hit) continue;
+      triggers.push({ category: c.name, action: c.action, match: hit[0] });
+      if (c.action === "respond" && !response) response = pick(c.template, lang);
+      if (c.action === "instruct" && c.instructions) instructions.push(c.instructions);
+    }
+    const strict = triggers.some((t) => DOSE_SENSITIVE.has(t.category));
+    return { lang, triggers, response, instructions, strict };
+  }
+
+  /**
+   * Look for numeric doses in an answer: a number with a dose unit in a
+   * sentence that also talks about taking/frequency, or an explicit
+   * frequency ("3x naponta"). mode "rewrite" replaces those sentences.
+   * `strict` (the question hit a dose-sensitive category) also counts plain
+   * take/drink verbs as dosing context; otherwise recipe quantities stay.
+   * Returns { text, doses: [sentence] }.
+   */
+  function checkAnswer(answer, { lang = "hu", strict = false } = {}) {
+    const post = current().post;
+    if (!post || post.action === "off") return { text: answer, doses: [] };
+
+    const context = (strict && post.strictContext) || post.context;
+    const doses = [];
+    const parts = splitSentences(answer).map((part) => {
+      const folded = normalize(part);
+      const isDose =
+        (post.dose.test(folded) && (!context || context.test(folded))) ||
+        (post.frequency && post.frequency.test(folded));
+      if (!isDose) return part;
+      doses.push(part.trim());
+      return post.action === "rewrite" ? pick(post.replacement, lang) : part;
+    });
+
+    let text = parts.join("");
+    // Consecutive dose sentences collapse into one notice
+    if (post.action === "rewrite" && doses.length) {
+      const notice = pick(post.replacement, lang);
+      while (text.includes(`${notice} ${notice}`)) text = text.replace(`${notice} ${notice}`, notice);
+    }
+    return { text, doses };
+  }
+
+  function reload() {
+    mtimeMs = 0;
+    const c = current();
+    return { version: c.version, categories: c.categories.map((x) => x.name) };
+  }
+
+  return { screen, checkAnswer, reload };
+}
+
+const MEMORY_LOG_SIZE = 1000; // entries kept when there is no log file
+
+/**
+ * Append-only JSONL review log; one line per trigger event, appended
+ * synchronously so a purge never races a write. Without a file (null) the
+ * latest entries are kept in memory instead.
+ *   recent(limit)  → { total, events } newest first (torn lines are skipped)
+ *   purge(match)   → drops the entries `match(entry)` selects (DELETE /history),
+ *                    returns the count
+ */
+export function createSafetyLog(filePath) {
+  const memory = [];
+
+  function logTrigger(entry) {
+    const row = { at: new Date().toISOString(), ...entry };
+    console.warn(`🛡️ [safety] ${entry.stage} ${entry.convKey}: ${entry.categories.join(", ")}`);
+    if (!filePath) {
+      memory.push(row);
+      if (memory.length > MEMORY_LOG_SIZE) memory.shift();
+      return;
+    }
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, JSON.stringify(row) + "\n");
+    } catch (e) {
+      console.error(`[safety] Could not write ${filePath}: ${e.message}`);
+    }
+  }
+
+  function entries() {
+    if (!filePath) return memory;
+    if (!fs.existsSync(filePath)) return [];
+    return fs
+      .readFileSync(filePath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  logTrigger.recent = function recent(limit = 100) {
+    const all = entries();
+    return { total: all.length, events: all.slice(-limit).reverse() };
+  };
+
+  logTrigger.purge = function purge(match) {
+    if (!filePath) {
+      const kept = memory.filter((e) => !match(e));
+      const gone = memory.length - kept.length;
+      memory.splice(0, memory.length, ...kept);
+      return gone;
+    }
+    if (!fs.existsSync(filePath)) return 0;
+    const lines = fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean);
+    const kept = lines.filter((line) => {
+      try {
+        return !match(JSON.parse(line));
+      } catch {
+        return true;
+      }
+    });
+    if (kept.length === lines.length) return 0;
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, kept.map((line) => line + "\n").join(""));
+    fs.renameSync(tmp, filePath);
+    return lines.length - kept.length;
+  };
+
+  return logTrigger;
+}
@@ -0,0 +1,87 @@
+// lib/sites.js
+// Which site a request belongs to and how that site's mentor behaves:
+// allowed origins, prompt template (see lib/prompt.js), answer language, KB
+// filters and the disclaimer shown under answers. Lives in config/sites.json
+// (reloaded on change, like the glossary).
+import fs from "fs";
+import path from "path";
+
+const SITES_PATH =
+  process.env.SITES_PATH || path.join(process.cwd(), "config", "sites.json");
+
+export const LANGUAGES = ["hu", "en", "auto"];
+
+// Used until config/sites.json loads (and if it never does)
+const FALLBACK_SITE = {
+  id: "default",
+  name: "Zöld Mentor",
+  origins: [],
+  template: "mentor.hu",
+  language: "hu",
+  kbFilters: null,
+  disclaimer: "",
+};
+
+function compile(data) {
+  const sites = new Map();
+  for (const [id, s] of Object.entries(data.sites || {})) {
+    const language = LANGUAGES.includes(s.language) ? s.language : "hu";
+    sites.set(id, {
+      id,
+      name: s.name || id,
+      origins: (s.origins || []).map((o) => String(o).replace(/\/+$/, "")),
+      template: s.template || FALLBACK_SITE.template,
+      language,
+      // { field: value | [values] } on chunk metadata (or "source"), see retriever filters
+      kbFilters: s.kbFilters && Object.keys(s.kbFilters).length ? s.kbFilters : null,
+      disclaimer: s.disclaimer || "",
+    });
+  }
+  const byOrigin = new Map();
+  for (const site of sites.values()) for (const o of site.origins) byOrigin.set(o, site);
+  const defaultSite = sites.get(data.default) || sites.values().next().value || FALLBACK_SITE;
+  return { version: data.version ?? null, sites, byOrigin, defaultSite };
+}
+
+export function createSiteConfig(filePath = SITES_PATH) {
+  let compiled = compile({});
+  let mtimeMs = 0;
+
+  function current() {
+    try {
+      const stat = fs.statSync(filePath);
+      if (stat.mtimeMs !== mtimeMs) {
+        compiled = compile(JSON.parse(fs.readFileSync(filePath, "utf8")));
+        mtimeMs = stat.mtimeMs;
+        console.log(`[sites] Loaded ${path.basename(filePath)} (${[...compiled.sites.keys()].join(", ")})`);
+      }
+    } catch (e) {
+      if (mtimeMs !== -1) console.warn(`[sites] Could not load ${filePath}: ${e.message}`);
+      mtimeMs = -1;
+    }
+    return compiled;
+  }
+
+  /**
+   * The site for a request: the token's site claim wins, then the Origin
+   * header, then the configured default.
+   */
+  function resolve({ site, origin } = {}) {
+    const c = current();
+    if (site && c.sites.has(site)) return c.sites.get(site);
+    if (origin && c.byOrigin.has(origin)) return c.byOrigin.get(origin);
+    return c.defaultSite;
+  }
+
+  const isAllowedOrigin = (origin) => current().byOrigin.has(origin);
+
+  const list = () => [...current().sites.values()];
+
+  function reload() {
+    mtimeMs = 0;
+    const c = current();
+    return { version: c.version, sites: [...c.sites.keys()], default: c.defaultSite.id };
+  }
+
+  return { resolve, isAllowedOrigin, list, reload };
+}
@@ -0,0 +1,155 @@
+// lib/source_formats.js
+// Turn KB source files (.txt, .md, .html, .jsonl) into plain-text documents
+// with metadata, ready for lib/chunker.js.
+import path from "path";
+
+export const SOURCE_EXTENSIONS = [".txt", ".md", ".markdown", ".html", ".htm", ".jsonl"];
+
+export function isSourceFile(file) {
+  return SOURCE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Front-matter (the small YAML subset we actually use)
+// ─────────────────────────────────────────────────────────────────────────────
+function parseScalar(v) {
+  const s = v.trim();
+  if (!s) return "";
+  if (/^\[.*\]$/.test(s)) {
+    return s.slice(1, -1).split(",").map(parseScalar).filter((x) => x !== "");
+  }
+  if (/^(['"]).*\1$/.test(s)) return s.slice(1, -1);
+  if (s === "true" || s === "false") return s === "true";
+  if (/^-?\d+(\.\d+)?$/.test(s)) return Number(s);
+  return s;
+}
+
+/**
+ * Parse a leading `---` block of `key: value` lines. Supports inline lists
+ * (`tags: [a, b]`) and block lists (`- item` lines under a bare `key:`).
+ * Returns { meta, body }.
+ */
+export function parseFrontMatter(raw) {
+  const m = raw.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!m) return { meta: {}, body: raw };
+
+  const meta = {};
+  let listKey = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      meta[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+    const kv = line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
+    if (!kv) continue;
+    if (kv[2].trim() === "") {
+      listKey = kv[1];
+      meta[listKey] = [];
+    } else {
+      listKey = null;
+      meta[kv[1]] = parseScalar(kv[2]);
+    }
+  }
+  return { meta, body: raw.slice(m[0].length) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Markdown / HTML → text
+// ─────────────────────────────────────────────────────────────────────────────
+/** Drop inline Markdown syntax but keep `#` headings for the chunker */
+function markdownToText(md) {
+  return md
+    .replace(/```[\s\S]*?```/g, "")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(^|[^*\w])[*_]([^*_\n]+)[*_](?=[^*\w]|$)/g, "$1$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/^\s*>\s?/gm, "")
+    .replace(/^\s*[-*+]\s+/gm, "– ");
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (all, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : all;
+    }
+    return ENTITIES[e.toLowerCase()] ?? all;
+  });
+}
+
+/** Strip HTML to text; <h1>…<h6> become Markdown headings, blocks become paragraphs */
+export function htmlToText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const langMatch = html.match(/<html[^>]*\slang=["']?([a-zA-Z-]+)/i);
+  const text = html
+    .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<head[^>]*>[\s\S]*?<\/head>/i, "")
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_m, lvl, inner) =>
+      `\n\n${"#".repeat(Number(lvl))} ${inner.replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim()}\n\n`
+    )
+    .replace(/<li[^>]*>/gi, "\n– ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|section|article|ul|ol|table|tr|blockquote|pre)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "");
+  return {
+    title: titleMatch ? decodeEntities(titleMatch[1].trim()) : null,
+    lang: langMatch ? langMatch[1].toLowerCase().split("-")[0] : null,
+    text: decodeEntities(text).replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim(),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Entry point
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Parse one source file. Returns
+ *   { meta, text }                      for documents that still need chunking
+ *   { meta, records: [{ id, text, section, meta }] }  for pre-split JSONL
+ * Every document gets `module` (defaults to the file name without extension).
+ */
+export function parseSource(file, raw) {
+  const ext = path.extname(file).toLowerCase();
+  const base = { module: path.basename(file, path.extname(file)) };
+
+  if (ext === ".jsonl") {
+    const records = [];
+    raw.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      let rec;
+      try {
+        rec = JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${file}:${i + 1}: invalid JSON (${e.message})`);
+      }
+      if (!rec?.text) return;
+      const { id, text, section, meta, ...rest } = rec;
+      records.push({
+        id: id ?? null,
+        text: String(text),
+        section: Array.isArray(section) ? section : section ? [String(section)] : [],
+        meta: { ...base, ...rest, ...(meta || {}) },
+      });
+    });
+    return { meta: base, records };
+  }
+
+  if (ext === ".md" || ext === ".markdown") {
+    const { meta, body } = parseFrontMatter(raw);
+    return { meta: { ...base, ...meta }, text: markdownToText(body) };
+  }
+
+  if (ext === ".html" || ext === ".htm") {
+    const { title, lang, text } = htmlToText(raw);
+    return { meta: { ...base, ...(title ? { title } : {}), ...(lang ? { lang } : {}) }, text };
+  }
+
+  const { meta, body } = parseFrontMatter(raw);
+  return { meta: { ...base, ...meta }, text: body };
+}
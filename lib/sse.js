@@ -0,0 +1,32 @@
+// lib/sse.js
+// Minimal Server-Sent Events helpers for streaming /chat answers.
+
+/** True if the client asked for a streamed answer (?stream=1 or Accept header) */
+export function wantsEventStream(req) {
+  const q = String(req.query?.stream || "").toLowerCase();
+  if (q === "1" || q === "true") return true;
+  const accept = String(req.headers.accept || "");
+  return accept.includes("text/event-stream");
+}
+
+/** Switch the response into SSE mode and return a tiny writer */
+export function openEventStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // disable proxy buffering (nginx)
+  res.flushHeaders?.();
+
+  function send(event, data) {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function close() {
+    if (!res.writableEnded) res.end();
+  }
+
+  return { send, close };
+}
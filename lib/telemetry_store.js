@@ -0,0 +1,202 @@
+// lib/telemetry_store.js
+// One structured event per /chat turn (keyed by answer id) plus student
+// feedback, kept as append-only JSONL files and indexed in memory for the
+// admin reports.
+import fs from "fs";
+import path from "path";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readJsonl(file) {
+  try {
+    return fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return []; // a torn last line after a crash
+        }
+      });
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`[telemetry] Could not read ${file}: ${e.message}`);
+    return [];
+  }
+}
+
+/** Atomic rewrite (write to *.tmp, then rename) */
+function writeJsonl(file, rows) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, rows.map((r) => JSON.stringify(r) + "\n").join(""));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * dir:       where events.jsonl / feedback.jsonl live (null = memory only)
+ * maxEvents: events kept in memory (older ones drop out of the reports, and
+ *            the file is compacted on startup when it grows past twice that)
+ */
+export function createTelemetryStore({ dir = null, maxEvents = 20000 } = {}) {
+  const eventsFile = dir && path.join(dir, "events.jsonl");
+  const feedbackFile = dir && path.join(dir, "feedback.jsonl");
+  const events = new Map(); // answerId → event (insertion order = time order)
+  const feedback = new Map(); // answerId → latest feedback
+
+  if (dir) {
+    const stored = readJsonl(eventsFile);
+    for (const e of stored.slice(-maxEvents)) events.set(e.answerId, e);
+    for (const f of readJsonl(feedbackFile)) if (events.has(f.answerId)) feedback.set(f.answerId, f);
+    if (stored.length > maxEvents * 2) writeJsonl(eventsFile, [...events.values()]);
+    console.log(`[telemetry] Loaded ${events.size} events, ${feedback.size} feedback entries from ${dir}`);
+  }
+
+  // Synchronous, so purge() never rewrites a file under an append in flight
+  function append(file, obj) {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(obj) + "\n");
+    } catch (e) {
+      console.error(`[telemetry] Could not write ${file}: ${e.message}`);
+    }
+  }
+
+  function recordEvent(event) {
+    events.set(event.answerId, event);
+    if (events.size > maxEvents) {
+      const oldest = events.keys().next().value;
+      events.delete(oldest);
+      feedback.delete(oldest);
+    }
+    append(eventsFile, event);
+  }
+
+  const getEvent = (answerId) => events.get(answerId) || null;
+
+  /** rating: "up" | "down"; a later entry for the same answer replaces the earlier one */
+  function recordFeedback({ answerId, rating, comment = "", owner }) {
+    const entry = { answerId, rating, comment, owner, at: new Date().toISOString() };
+    feedback.set(answerId, entry);
+    append(feedbackFile, entry);
+    return entry;
+  }
+
+  /**
+   * Drop the events `match(event)` selects, with their feedback, from memory
+   * and from the files (which may hold more than memory). Returns the count.
+   */
+  function purge(match) {
+    const gone = new Set();
+    for (const [answerId, e] of events) {
+      if (!match(e)) continue;
+      events.delete(answerId);
+      feedback.delete(answerId);
+      gone.add(answerId);
+    }
+    if (dir) {
+      const stored = readJsonl(eventsFile);
+      const kept = stored.filter((e) => {
+        if (!match(e)) return true;
+        gone.add(e.answerId);
+        return false;
+      });
+      if (kept.length < stored.length) writeJsonl(eventsFile, kept);
+      const rated = readJsonl(feedbackFile);
+      const keptFeedback = rated.filter((f) => !gone.has(f.answerId));
+      if (keptFeedback.length < rated.length) writeJsonl(feedbackFile, keptFeedback);
+    }
+    return gone.size;
+  }
+
+  const since = (days) => {
+    const from = new Date(Date.now() - days * DAY_MS).toISOString();
+    return [...events.values()].filter((e) => e.at >= from);
+  };
+
+  /** Answers rated "down", newest first, with the question and what was retrieved */
+  function lowRated({ days = 30, limit = 100 } = {}) {
+    return since(days)
+      .filter((e) => feedback.get(e.answerId)?.rating === "down")
+      .reverse()
+      .slice(0, limit)
+      .map((e) => ({
+        answerId: e.answerId,
+        at: e.at,
+        query: e.query,
+        rewritten: e.rewritten,
+        prompt: e.prompt || null,
+        sources: e.hits.map((h) => h.id),
+        feedback: feedback.get(e.answerId),
+      }));
+  }
+
+  /** Queries that retrieved nothing, grouped by text */
+  function zeroHits({ days = 30, limit = 100 } = {}) {
+    const byQuery = new Map();
+    for (const e of since(days)) {
+      if (e.hits.length || e.status === "template") continue;
+      const key = e.rewritten.trim().toLowerCase();
+      const row = byQuery.get(key) || { query: e.rewritten, count: 0, lastAt: e.at };
+      row.count++;
+      row.lastAt = e.at;
+      byQuery.set(key, row);
+    }
+    return [...byQuery.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+  }
+
+  /**
+   * How often each source was retrieved; `allSources` (from the live KB)
+   * adds the ones that were never retrieved with count 0.
+   */
+  function sourceFrequency({ days = 30, allSources = [] } = {}) {
+    const rows = new Map(allSources.map((s) => [s, { source: s, hits: 0, turns: 0, up: 0, down: 0 }]));
+    for (const e of since(days)) {
+      const seen = new Set();
+      for (const h of e.hits) {
+        const row = rows.get(h.source) || { source: h.source, hits: 0, turns: 0, up: 0, down: 0 };
+        row.hits++;
+        if (!seen.has(h.source)) {
+          row.turns++;
+          const rating = feedback.get(e.answerId)?.rating;
+          if (rating) row[rating]++;
+        }
+        seen.add(h.source);
+        rows.set(h.source, row);
+      }
+    }
+    return [...rows.values()].sort((a, b) => b.hits - a.hits);
+  }
+
+  /** Turns and ratings per prompt template version (to compare A/B variants) */
+  function byPrompt(list) {
+    const rows = new Map();
+    for (const e of list) {
+      if (!e.prompt) continue;
+      const key = `${e.prompt.template}/${e.prompt.variant}@${e.prompt.version}`;
+      const row = rows.get(key) || { ...e.prompt, turns: 0, up: 0, down: 0 };
+      row.turns++;
+      const rating = feedback.get(e.answerId)?.rating;
+      if (rating) row[rating]++;
+      rows.set(key, row);
+    }
+    return [...rows.values()].sort((a, b) => b.turns - a.turns);
+  }
+
+  function summary({ days = 30 } = {}) {
+    const list = since(days);
+    const rated = list.map((e) => feedback.get(e.answerId)).filter(Boolean);
+    return {
+      turns: list.length,
+      zeroHitTurns: list.filter((e) => !e.hits.length && e.status !== "template").length,
+      feedback: {
+        up: rated.filter((f) => f.rating === "up").length,
+        down: rated.filter((f) => f.rating === "down").length,
+      },
+      prompts: byPrompt(list),
+    };
+  }
+
+  return { recordEvent, getEvent, recordFeedback, purge, lowRated, zeroHits, sourceFrequency, summary };
+}
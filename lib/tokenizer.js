@@ -0,0 +1,81 @@
+// lib/tokenizer.js
+// Shared tokenizer for the keyword index and the query side: accent-folding,
+// stopword removal and light Hungarian suffix stripping.
+
+const stripAccents = (s) =>
+  s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+export function normalize(s) {
+  if (!s) return "";
+  return stripAccents(String(s).toLowerCase());
+}
+
+// Accent-folded, so "és" → "es", "általában" → "altalaban"
+const STOPWORDS = new Set([
+  // Hungarian
+  "a", "az", "egy", "es", "is", "hogy", "nem", "de", "meg", "van", "volt",
+  "vagy", "mint", "ha", "ez", "ezt", "azt", "ami", "amit", "amely", "amelyek",
+  "aki", "mar", "csak", "sem", "mert", "igy", "ugy", "itt", "ott", "ki", "be",
+  "le", "fel", "el", "at", "ra", "re", "mit", "mik", "vannak",
+  "lesz", "lehet", "kell", "nagyon", "sok", "mas", "meg", "pedig", "illetve",
+  "valamint", "tehat", "akkor", "amikor", "majd", "ezek", "azok", "ennek",
+  "annak", "ilyen", "olyan", "sajat", "minden", "nincs", "hanem", "szamara",
+  "kozott", "utan", "elott", "alatt", "felett", "mellett", "nelkul", "szerint",
+  "pl", "stb", "en", "te", "o", "mi", "ti", "ok", "neki", "nekem", "neked",
+  // English
+  "the", "an", "and", "or", "of", "to", "in", "on", "for", "with", "is", "are",
+  "was", "were", "be", "been", "it", "its", "this", "that", "these", "those",
+  "as", "by", "from", "at", "what", "how", "which", "who", "do", "does", "can",
+  "about", "into", "if", "not", "no", "so", "than", "then", "there", "i", "you",
+]);
+
+// Longest first; accent-folded Hungarian case, plural and possessive endings
+const SUFFIXES = [
+  "jaikbol", "eikbol", "aibol", "eibol",
+  "joknak", "jeknek", "aiknak", "eiknek",
+  "kent", "ert", "bol", "rol", "tol", "nak", "nek", "ban", "ben",
+  "hoz", "hez", "val", "vel", "nal", "nel", "kor", "ig", "ul",
+  "juk", "jok", "jai", "jei", "aim", "eim", "aid", "eid",
+  "uk", "ok", "ek", "ak", "ot", "et", "at", "on", "en", "ra", "re", "ba", "be",
+  "ja", "je", "ai", "ei", "im", "id", "om", "em", "am",
+  "k", "t",
+];
+const MIN_STEM = 4;
+
+/**
+ * Light Hungarian stemmer. Strips up to two suffixes so that
+ * "koromviragot", "koromviraggal" and "koromviragbol" all become "koromvirag".
+ * Input must already be normalized (lowercase, accent-folded).
+ */
+export function stem(word) {
+  let w = word;
+  for (let pass = 0; pass < 2; pass++) {
+    // -val/-vel assimilates to a doubled consonant: viraggal → virag
+    const assim = w.match(/^(.*?)([bcdfghjklmnprstvz])\2(al|el)$/);
+    if (assim && assim[1].length + 1 >= MIN_STEM) {
+      w = assim[1] + assim[2];
+      continue;
+    }
+    const suf = SUFFIXES.find((s) => w.endsWith(s) && w.length - s.length >= MIN_STEM);
+    if (!suf) break;
+    w = w.slice(0, -suf.length);
+  }
+  return w;
+}
+
+const TOKEN_RE = /[a-z0-9]+/g;
+
+/** Raw accent-folded tokens, no stemming or stopword removal */
+export function rawTokens(text) {
+  return normalize(text).match(TOKEN_RE) || [];
+}
+
+/** Index/query tokens: normalized, stopwords dropped, stemmed */
+export function tokenize(text) {
+  const out = [];
+  for (const t of rawTokens(text)) {
+    if (STOPWORDS.has(t)) continue;
+    out.push(/^\d+$/.test(t) ? t : stem(t));
+  }
+  return out;
+}
@@ -0,0 +1,52 @@
+// lib/tools.js
+// Model function calling: the loop that lets the model call tools (complete,
+// run the calls, complete again) in the neutral message format of
+// lib/provider.js. What a tool does is up to the caller's `run(call)`.
+//
+//   assistant → { role: "assistant", content: "", toolCalls: [{ id, name, arguments }] }
+//   result    → { role: "tool", toolCallId, content }
+
+export const MAX_TOOL_ROUNDS = 2; // after that the model has to answer
+
+/** The model's tool calls and their results, to append to the input */
+export function toolMessages(calls, run) {
+  return [
+    { role: "assistant", content: "", toolCalls: calls },
+    ...calls.map((call) => ({ role: "tool", toolCallId: call.id, content: run(call) })),
+  ];
+}
+
+const toolChoice = (round, maxRounds) => (round < maxRounds ? "auto" : "none");
+
+/**
+ * Complete with tools; returns the final text. After `maxRounds` rounds of
+ * tool calls the model is asked without tools. `onUsage` gets the usage of
+ * every completion.
+ */
+export async function completeWithTools(chat, { input, tools = [], run, onUsage = () => {}, maxRounds = MAX_TOOL_ROUNDS }) {
+  const messages = [...input];
+  for (let round = 0; ; round++) {
+    const completion = await chat.complete({ input: messages, tools, toolChoice: toolChoice(round, maxRounds) });
+    if (completion.usage) onUsage(completion.usage);
+    if (!completion.toolCalls?.length || round >= maxRounds) return completion.text;
+    messages.push(...toolMessages(completion.toolCalls, run));
+  }
+}
+
+/**
+ * Streamed variant: yields the provider's "delta" / "done" events of every
+ * round, plus { type: "tool_results", calls } after the calls of a round ran.
+ */
+export async function* streamWithTools(chat, { input, tools = [], run, signal, maxRounds = MAX_TOOL_ROUNDS }) {
+  const messages = [...input];
+  for (let round = 0; ; round++) {
+    let calls = null;
+    for await (const event of chat.stream({ input: messages, tools, toolChoice: toolChoice(round, maxRounds), signal })) {
+      if (event.type === "tool_calls") calls = event.calls;
+      else yield event;
+    }
+    if (!calls?.length || round >= maxRounds || signal?.aborted) return;
+    messages.push(...toolMessages(calls, run));
+    yield { type: "tool_results", calls };
+  }
+}
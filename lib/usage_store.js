@@ -0,0 +1,178 @@
+// lib/usage_store.js
+// Token usage per user and site, bucketed by UTC day, with daily/monthly quotas.
+// Persisted like the conversation store: debounced, atomic JSON snapshot.
+import fs from "fs";
+import path from "path";
+
+const COUNTERS = ["requests", "chatInput", "chatOutput", "embedding", "total"];
+const emptyCounters = () => Object.fromEntries(COUNTERS.map((k) => [k, 0]));
+
+const dayOf = (ts = Date.now()) => new Date(ts).toISOString().slice(0, 10); // "2026-10-19"
+const monthOf = (day) => day.slice(0, 7); // "2026-10"
+
+/** When a daily / monthly bucket starts over: the next UTC midnight or first of the month */
+function resetOf(period, ts = Date.now()) {
+  const d = new Date(ts);
+  const next =
+    period === "daily"
+      ? Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1)
+      : Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  return new Date(next).toISOString();
+}
+
+function addCounters(into, c) {
+  for (const k of COUNTERS) into[k] += c[k] || 0;
+  return into;
+}
+
+/**
+ * QUOTA_USER_DAILY / QUOTA_USER_MONTHLY / QUOTA_SITE_DAILY / QUOTA_SITE_MONTHLY
+ * are token limits; 0 or unset means unlimited.
+ */
+export function quotasFromEnv(env = process.env) {
+  const n = (v) => Math.max(0, Number(v) || 0);
+  return {
+    user: { daily: n(env.QUOTA_USER_DAILY), monthly: n(env.QUOTA_USER_MONTHLY) },
+    site: { daily: n(env.QUOTA_SITE_DAILY), monthly: n(env.QUOTA_SITE_MONTHLY) },
+  };
+}
+
+/**
+ * data = { days: { "YYYY-MM-DD": { users: { [user]: counters & { site } }, sites: { [site]: counters } } } }
+ * `filePath` null keeps everything in memory.
+ */
+export function createUsageStore({ filePath = null, flushDelayMs = 2000, retentionDays = 400, quotas } = {}) {
+  let data = { days: {} };
+  if (filePath) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (parsed?.days) data = parsed;
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn(`[usage] Could not read ${filePath}: ${e.message}`);
+    }
+  }
+
+  let timer = null;
+  function schedule() {
+    if (!filePath || timer) return;
+    timer = setTimeout(flush, flushDelayMs);
+    timer.unref?.();
+  }
+
+  function flush() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      console.error(`[usage] Could not write ${filePath}: ${e.message}`);
+    }
+  }
+
+  function prune() {
+    const cutoff = dayOf(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    for (const day of Object.keys(data.days)) if (day < cutoff) delete data.days[day];
+  }
+
+  /**
+   * Add one request's usage. parts: { chat?: {input_tokens, output_tokens}, embedding?: {input_tokens} }
+   * (each may be an array when several calls were made).
+   */
+  function record({ user, site }, parts = {}) {
+    const c = emptyCounters();
+    c.requests = 1;
+    for (const u of [].concat(parts.chat || [])) {
+      c.chatInput += u?.input_tokens || 0;
+      c.chatOutput += u?.output_tokens || 0;
+    }
+    for (const u of [].concat(parts.embedding || [])) c.embedding += u?.input_tokens || 0;
+    c.total = c.chatInput + c.chatOutput + c.embedding;
+
+    const day = dayOf();
+    if (!data.days[day]) {
+      data.days[day] = { users: {}, sites: {} };
+      prune();
+    }
+    const bucket = data.days[day];
+    bucket.users[user] ||= { site, ...emptyCounters() };
+    bucket.users[user].site = site;
+    bucket.sites[site] ||= emptyCounters();
+    addCounters(bucket.users[user], c);
+    addCounters(bucket.sites[site], c);
+    schedule();
+    return c;
+  }
+
+  function usedIn(kind, id, days) {
+    const out = emptyCounters();
+    for (const day of days) {
+      const entry = data.days[day]?.[kind]?.[id];
+      if (entry) addCounters(out, entry);
+    }
+    return out;
+  }
+
+  /** Daily and monthly (calendar month, UTC) totals for one user or site */
+  function usageOf(kind, id) {
+    const today = dayOf();
+    const month = monthOf(today);
+    return {
+      day: today,
+      daily: usedIn(kind, id, [today]),
+      monthly: usedIn(kind, id, Object.keys(data.days).filter((d) => monthOf(d) === month)),
+    };
+  }
+
+  /** First exceeded quota for this user/site ({ scope, period, limit, used, resetsAt }), or null */
+  function checkQuota({ user, site }) {
+    for (const [kind, id] of [["user", user], ["site", site]]) {
+      const limits = quotas?.[kind];
+      if (!limits || (!limits.daily && !limits.monthly)) continue;
+      const used = usageOf(kind === "user" ? "users" : "sites", id);
+      for (const period of ["daily", "monthly"]) {
+        if (limits[period] && used[period].total >= limits[period]) {
+          return { scope: kind, period, limit: limits[period], used: used[period].total, resetsAt: resetOf(period) };
+        }
+      }
+    }
+    return null;
+  }
+
+  /** Aggregates for the last `days` days: per day, per user and per site */
+  function report({ days = 30 } = {}) {
+    const from = dayOf(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+    const byDay = [];
+    const users = new Map();
+    const sites = new Map();
+    for (const day of Object.keys(data.days).sort()) {
+      if (day < from) continue;
+      const bucket = data.days[day];
+      const total = emptyCounters();
+      for (const [user, c] of Object.entries(bucket.users)) {
+        if (!users.has(user)) users.set(user, { user, site: c.site, ...emptyCounters() });
+        addCounters(users.get(user), c);
+        addCounters(total, c);
+      }
+      for (const [site, c] of Object.entries(bucket.sites)) {
+        if (!sites.has(site)) sites.set(site, { site, ...emptyCounters() });
+        addCounters(sites.get(site), c);
+      }
+      byDay.push({ day, ...total });
+    }
+    const byTotal = (a, b) => b.total - a.total;
+    return {
+      from,
+      to: dayOf(),
+      days: byDay,
+      users: [...users.values()].sort(byTotal),
+      sites: [...sites.values()].sort(byTotal),
+    };
+  }
+
+  if (filePath) console.log(`[usage] Loaded ${Object.keys(data.days).length} days of usage from ${filePath}`);
+  return { record, usageOf, checkQuota, report, flush, quotas };
+}
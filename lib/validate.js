@@ -0,0 +1,122 @@
+// lib/validate.js
+// Minimal schema validation for JSON request bodies. A schema is built from
+// the helpers below; validate() returns the cleaned value or throws a
+// ValidationError listing every problem ("messages[2].role: must be one of …").
+//
+//   const schema = object({ rating: string({ oneOf: ["up", "down"] }), comment: optional(string({ max: 2000 })) });
+//   app.post("/feedback", validateBody(schema), handler);
+
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid request: ${errors.join("; ")}`);
+    this.name = "ValidationError";
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+const OPTIONAL = Symbol("optional");
+const at = (path, msg) => `${path || "body"}: ${msg}`;
+
+export function string({ min = 0, max = Infinity, oneOf = null, pattern = null, trim = false } = {}) {
+  return (value, path, errors) => {
+    if (typeof value !== "string") return void errors.push(at(path, "must be a string"));
+    const v = trim ? value.trim() : value;
+    if (v.length < min) errors.push(at(path, min === 1 ? "must not be empty" : `must be at least ${min} characters`));
+    if (v.length > max) errors.push(at(path, `must be at most ${max} characters`));
+    if (oneOf && !oneOf.includes(v)) errors.push(at(path, `must be one of ${oneOf.join(", ")}`));
+    if (pattern && !pattern.test(v)) errors.push(at(path, "has an invalid format"));
+    return v;
+  };
+}
+
+export function boolean() {
+  return (value, path, errors) => {
+    if (typeof value !== "boolean") return void errors.push(at(path, "must be true or false"));
+    return value;
+  };
+}
+
+/** Any of the given schemas (first one that passes wins); `message` describes them all */
+export function anyOf(schemas, message) {
+  return (value, path, errors) => {
+    for (const schema of schemas) {
+      const errs = [];
+      const out = schema(value, path, errs);
+      if (!errs.length) return out;
+    }
+    errors.push(at(path, message));
+  };
+}
+
+export function array(item, { min = 0, max = Infinity } = {}) {
+  return (value, path, errors) => {
+    if (!Array.isArray(value)) return void errors.push(at(path, "must be an array"));
+    if (value.length < min) errors.push(at(path, `must have at least ${min} item${min === 1 ? "" : "s"}`));
+    if (value.length > max) return void errors.push(at(path, `must have at most ${max} items`));
+    return value.map((v, i) => item(v, `${path}[${i}]`, errors));
+  };
+}
+
+/** Unknown keys are rejected; optional() keys may be missing (or null) */
+export function object(shape) {
+  return (value, path, errors) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return void errors.push(at(path, "must be a JSON object"));
+    }
+    const out = {};
+    for (const key of Object.keys(value)) {
+      if (!(key in shape)) errors.push(at(path ? `${path}.${key}` : key, "is not allowed"));
+    }
+    for (const [key, schema] of Object.entries(shape)) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (value[key] == null) {
+        if (!schema[OPTIONAL]) errors.push(at(keyPath, "is required"));
+        continue;
+      }
+      out[key] = schema(value[key], keyPath, errors);
+    }
+    return out;
+  };
+}
+
+/** Free-form JSON object (analytics payloads), only its serialized size is checked */
+export function anyObject({ maxBytes = 8192 } = {}) {
+  return (value, path, errors) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return void errors.push(at(path, "must be a JSON object"));
+    }
+    if (Buffer.byteLength(JSON.stringify(value)) > maxBytes) errors.push(at(path, `must be at most ${maxBytes} bytes`));
+    return value;
+  };
+}
+
+export function optional(schema) {
+  const wrapped = (value, path, errors) => schema(value, path, errors);
+  wrapped[OPTIONAL] = true;
+  return wrapped;
+}
+
+export function validate(schema, value) {
+  const errors = [];
+  const out = schema(value, "", errors);
+  if (errors.length) throw new ValidationError(errors);
+  return out;
+}
+
+/**
+ * Express middleware: replaces req.body with the validated value, or answers
+ * 400 { ok: false, error, details } without calling the handler. A missing
+ * body is validated as {}.
+ */
+export function validateBody(schema) {
+  return (req, res, next) => {
+    try {
+      req.body = validate(schema, req.body ?? {});
+      return next();
+    } catch (e) {
+      if (!(e instanceof ValidationError)) throw e;
+      return res.status(400).json({ ok: false, error: "Invalid request body", details: e.errors });
+    }
+  };
+}
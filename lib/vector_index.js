@@ -0,0 +1,92 @@
+// lib/vector_index.js
+// Contiguous, pre-normalised Float32 embedding matrix with exact top-k search.
+
+/**
+ * Pack per-chunk embeddings into one Float32Array (row i = chunk i), each row
+ * L2-normalised so cosine similarity is a plain dot product. Rows that are
+ * missing, all-zero or not `dim` long stay zero, are flagged in `empty` and
+ * left out of topK (they'd score 0, above every negative cosine).
+ */
+export function packVectors(embeddings, dim) {
+  const n = embeddings.length;
+  const matrix = new Float32Array(n * dim);
+  const empty = new Uint8Array(n);
+  let skipped = 0;
+  for (let i = 0; i < n; i++) {
+    const e = embeddings[i];
+    let norm = 0;
+    if (e && e.length === dim) {
+      for (let j = 0; j < dim; j++) norm += e[j] * e[j];
+      norm = Math.sqrt(norm);
+    }
+    if (!norm) {
+      empty[i] = 1;
+      skipped++;
+      continue;
+    }
+    const off = i * dim;
+    for (let j = 0; j < dim; j++) matrix[off + j] = e[j] / norm;
+  }
+  return { matrix, dim, count: n, empty, skipped };
+}
+
+/** Normalise a query vector into a Float32Array */
+export function normalizeQuery(q) {
+  const out = Float32Array.from(q);
+  let norm = 0;
+  for (let j = 0; j < out.length; j++) norm += out[j] * out[j];
+  norm = Math.sqrt(norm) || 1;
+  for (let j = 0; j < out.length; j++) out[j] /= norm;
+  return out;
+}
+
+/** Cosine between a normalised query and row `i` */
+export function rowScore(index, q, i) {
+  const { matrix, dim } = index;
+  const off = i * dim;
+  let dot = 0;
+  for (let j = 0; j < dim; j++) dot += matrix[off + j] * q[j];
+  return dot;
+}
+
+/**
+ * Exact top-k over the whole matrix with a bounded min-heap (O(n·dim + n·log k)).
+ * `allowed(i)` can exclude rows (metadata filters); empty rows never match.
+ * Returns [[i, score]] best first.
+ */
+export function topK(index, q, k, allowed = null) {
+  const heap = []; // min-heap of [score, i]
+  const up = (p) => {
+    while (p > 0) {
+      const parent = (p - 1) >> 1;
+      if (heap[parent][0] <= heap[p][0]) break;
+      [heap[parent], heap[p]] = [heap[p], heap[parent]];
+      p = parent;
+    }
+  };
+  const down = (p) => {
+    for (;;) {
+      const l = 2 * p + 1;
+      const r = l + 1;
+      let m = p;
+      if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+      if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+      if (m === p) break;
+      [heap[m], heap[p]] = [heap[p], heap[m]];
+      p = m;
+    }
+  };
+
+  for (let i = 0; i < index.count; i++) {
+    if (index.empty?.[i] || (allowed && !allowed(i))) continue;
+    const s = rowScore(index, q, i);
+    if (heap.length < k) {
+      heap.push([s, i]);
+      up(heap.length - 1);
+    } else if (s > heap[0][0]) {
+      heap[0] = [s, i];
+      down(0);
+    }
+  }
+  return heap.sort((a, b) => b[0] - a[0]).map(([s, i]) => [i, s]);
+}
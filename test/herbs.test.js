@@ -0,0 +1,97 @@
+// test/herbs.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildHerbIndex, createHerbLookup } from "../lib/herbs.js";
+
+const GLOSSARY = {
+  version: 3,
+  herbs: [
+    { latin: "Urtica dioica", hu: ["csalán"], en: ["nettle", "stinging nettle"] },
+    { latin: "Althaea officinalis", aliases: ["Althea officinalis"], hu: ["orvosi ziliz"], en: ["marshmallow"] },
+    { latin: "Crataegus monogyna", hu: ["galagonya"], en: ["hawthorn"] },
+    { latin: "Juniperus communis", aliases: ["Juniperus communius"], hu: ["boróka"], en: ["juniper"] },
+  ],
+  actions: [
+    { en: "diuretic", hu: "vízhajtó", forbidden: ["diuretikus"] },
+    { en: "demulcent", hu: "nyákosító", forbidden: [] },
+  ],
+  tissueStates: [{ en: "dry/atrophy", hu: "száraz/atrófiás" }],
+  preparations: [{ en: "infusion", hu: "forrázat" }],
+};
+
+const chunk = (position, text, section = []) => ({
+  id: `course.txt#${position}`,
+  source: "course.txt",
+  position: { index: position },
+  section,
+  text,
+});
+
+const CHUNKS = [
+  chunk(1, "VÍZHAJTÓK\nCsalán levél (Urtica dioica) – hűsítő\nA Bodza virág (Sambucus spp.) – hűsítő és szárító", ["Vízhajtók"]),
+  chunk(2, "Nettle seed (Urtica dioica) is used as a trophorestorative."),
+  chunk(3, "ngita (Viburnum opulus) – görcsoldó\nKányabangita (Viburnum opulus)"),
+  chunk(4, "Hideg forrázatot készítünk nyákosító növényekből, mint a Mályva (Althea officinalis), és lucerna (Medicago sativa)."),
+  chunk(5, "Liliom gyökér - Bai He (Lillium brownii)"),
+  chunk(6, "Galagonya (Juniperus communius) – szívre\nBoróka (Juniperus communius)\nGalagonya (Juniperus communius)"),
+  chunk(7, "Galagonya (Crataegus monogyna) – szívre\nGalagonya bogyó (Crataegus spp.)"),
+];
+
+const index = buildHerbIndex(CHUNKS, GLOSSARY);
+const byLatin = (latin) => index.herbs.find((h) => h.latin === latin);
+
+test("list entries give the Hungarian name without plant parts or article", () => {
+  assert.deepEqual(byLatin("Urtica dioica").hu, ["csalán"]);
+  assert.deepEqual(byLatin("Sambucus spp").hu, ["bodza"]);
+  assert.deepEqual(byLatin("Lillium brownii").hu, ["liliom"]);
+});
+
+test("English labels and mid-word fragments are not names", () => {
+  assert.ok(!index.herbs.some((h) => h.hu.includes("nettle seed") || h.hu.includes("nettle")));
+  assert.deepEqual(byLatin("Viburnum opulus").hu, ["kányabangita"]);
+});
+
+test("enumerations in running text name the last item only", () => {
+  assert.deepEqual(byLatin("Medicago sativa").hu, ["lucerna"]);
+});
+
+test("Latin spelling variants fold into the glossary herb", () => {
+  assert.equal(byLatin("Althea officinalis"), undefined);
+  const althaea = byLatin("Althaea officinalis");
+  assert.equal(althaea.id, "althaea-officinalis");
+  assert.deepEqual(althaea.aliases, ["Althea officinalis"]);
+  assert.deepEqual(althaea.hu, ["orvosi ziliz", "mályva"]);
+  assert.deepEqual(althaea.en, ["marshmallow"]);
+  assert.deepEqual(althaea.chunks, ["course.txt#4"]);
+  assert.ok(althaea.actions.includes("nyákosító"));
+  assert.deepEqual(althaea.preparations, ["forrázat"]);
+});
+
+test("a glossary name in front of another genus stays with its glossary herb", () => {
+  const juniper = byLatin("Juniperus communis");
+  assert.deepEqual(juniper.hu, ["boróka"]);
+  assert.ok(juniper.mentions > byLatin("Crataegus monogyna").mentions);
+  assert.deepEqual(byLatin("Crataegus spp").hu, ["galagonya"]);
+
+  const herbs = createHerbLookup(index);
+  assert.equal(herbs.get("galagonya").id, "crataegus-monogyna");
+  assert.equal(herbs.get("Juniperus communius").id, "juniperus-communis");
+});
+
+test("list entries collect the terms of their list and section", () => {
+  const nettle = byLatin("Urtica dioica");
+  assert.deepEqual(nettle.actions, ["vízhajtó"]);
+  assert.equal(nettle.chunks[0], "course.txt#1");
+  assert.equal(index.glossaryVersion, 3);
+  assert.deepEqual(index.vocabulary.tissueStates, [{ hu: "száraz/atrófiás", en: "dry/atrophy" }]);
+});
+
+test("lookup by alias, Hungarian or English name, and in free text", () => {
+  const herbs = createHerbLookup(index);
+  assert.equal(herbs.get("Althea officinalis").id, "althaea-officinalis");
+  assert.equal(herbs.get("malyva").id, "althaea-officinalis");
+  assert.equal(herbs.get("Stinging nettle").id, "urtica-dioica");
+  assert.equal(herbs.get("nettle seed"), null);
+  assert.deepEqual(herbs.find("Bodzát vagy csalánt igyak?").map((h) => h.id), ["sambucus-spp", "urtica-dioica"]);
+  assert.deepEqual(herbs.list({ action: "demulcent" }).map((h) => h.id), ["althaea-officinalis", "medicago-sativa"]);
+});
@@ -0,0 +1,105 @@
+// test/prompt.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createPromptRegistry, PromptTemplateError } from "../lib/prompt.js";
+
+const dirs = [];
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+/** A prompts dir in /tmp with the given templates.json and fragments */
+function promptsDir(templates, fragments) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zm-prompts-"));
+  dirs.push(dir);
+  writePrompts(dir, templates, fragments);
+  return dir;
+}
+
+function writePrompts(dir, templates, fragments) {
+  fs.writeFileSync(path.join(dir, "templates.json"), JSON.stringify({ templates }));
+  for (const [name, text] of Object.entries(fragments)) {
+    const file = path.join(dir, "fragments", `${name}.md`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+  }
+}
+
+const FRAGMENTS = {
+  "hu/persona": "Te vagy a {{siteName}} mentora.",
+  "hu/long": "Részletesen válaszolj.",
+  "hu/short": "Röviden válaszolj.",
+};
+
+const abTemplates = (weights) => ({
+  "mentor.hu": {
+    variants: [
+      { name: "control", weight: weights[0], fragments: ["hu/persona", "hu/long"] },
+      { name: "concise", weight: weights[1], fragments: ["hu/persona", "hu/short"] },
+    ],
+  },
+});
+
+const keys = Array.from({ length: 400 }, (_, i) => `session:${i}`);
+
+test("a conversation keeps its variant, and both variants are in use", () => {
+  const registry = createPromptRegistry({ dir: promptsDir(abTemplates([50, 50]), FRAGMENTS) });
+  registry.load();
+  const picks = keys.map((key) => registry.render("mentor.hu", { key }).variant);
+  assert.deepEqual(keys.map((key) => registry.render("mentor.hu", { key }).variant), picks);
+  const concise = picks.filter((v) => v === "concise").length;
+  assert.ok(concise > 120 && concise < 280, `concise got ${concise} of ${keys.length}`);
+});
+
+test("a weight-0 variant is never picked, but can be forced", () => {
+  const registry = createPromptRegistry({ dir: promptsDir(abTemplates([100, 0]), FRAGMENTS) });
+  registry.load();
+  assert.ok(keys.every((key) => registry.render("mentor.hu", { key }).variant === "control"));
+  const forced = registry.render("mentor.hu", { key: keys[0], variant: "concise", vars: { siteName: "Zöld" } });
+  assert.equal(forced.text, "Te vagy a Zöld mentora.\n\nRöviden válaszolj.");
+});
+
+test("invalid templates are rejected and the active snapshot stays", () => {
+  const dir = promptsDir(abTemplates([100, 0]), FRAGMENTS);
+  const registry = createPromptRegistry({ dir });
+  const first = registry.load();
+
+  writePrompts(dir, abTemplates([0, 0]), { ...FRAGMENTS, "hu/short": "{{nickname}}" });
+  assert.throws(
+    () => registry.load({ requiredTemplates: ["mentor.en"] }),
+    (e) =>
+      e instanceof PromptTemplateError &&
+      e.errors.includes("mentor.hu: every variant has weight 0") &&
+      e.errors.includes('fragment "hu/short": unknown variable {{nickname}}') &&
+      e.errors.includes('template "mentor.en" is used by a site but not defined')
+  );
+  assert.equal(registry.active().id, first.id);
+});
+
+test("rollback re-activates the previous snapshot, or one by id", () => {
+  const dir = promptsDir(abTemplates([100, 0]), FRAGMENTS);
+  const registry = createPromptRegistry({ dir });
+  const v1 = registry.load();
+  writePrompts(dir, abTemplates([100, 0]), { ...FRAGMENTS, "hu/long": "Alaposan válaszolj." });
+  const v2 = registry.load();
+  assert.notEqual(v1.id, v2.id);
+  const v1Version = v1.templates["mentor.hu"][0].version;
+  assert.notEqual(v2.templates["mentor.hu"][0].version, v1Version);
+
+  assert.equal(registry.rollback().id, v1.id);
+  assert.equal(registry.render("mentor.hu", { key: "k" }).version, v1Version);
+  assert.match(registry.render("mentor.hu", { key: "k" }).text, /Részletesen/);
+
+  assert.equal(registry.rollback(v2.id).id, v2.id);
+  assert.equal(registry.rollback("nope"), null);
+  assert.deepEqual(registry.history().map((s) => s.id), [v2.id, v1.id]);
+});
+
+test("unknown templates fall back to the built-in prompt", () => {
+  const registry = createPromptRegistry({ dir: promptsDir(abTemplates([100, 0]), FRAGMENTS) });
+  registry.load();
+  const out = registry.render("mentor.en", { lang: "en" });
+  assert.equal(out.version, "fallback");
+  assert.match(out.text, /Green Mentor/);
+});
@@ -0,0 +1,48 @@
+// test/query_rewriter.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { createGlossary } from "../lib/glossary.js";
+import { createHerbLookup } from "../lib/herbs.js";
+import { createQueryRewriter } from "../lib/query_rewriter.js";
+
+const glossary = createGlossary(fileURLToPath(new URL("../kb/glossary.json", import.meta.url)));
+// A herb only the index knows
+const herbs = createHerbLookup({
+  herbs: [{ id: "sambucus-nigra", latin: "Sambucus nigra", hu: ["bodza"], en: ["elder"], mentions: 3 }],
+});
+const rewriter = createQueryRewriter({ glossary, herbs: () => herbs });
+
+const HISTORY = [
+  { role: "user", content: "Mire jó a körömvirág és a cickafark?" },
+  { role: "assistant", content: "A körömvirág sebgyógyító, a cickafark összehúzó." },
+];
+
+test("a follow-up gets the herbs of the conversation", async () => {
+  const opener = await rewriter.rewrite("És a gyökerét hogyan használjam?", HISTORY);
+  assert.equal(opener.method, "carryover");
+  assert.deepEqual(opener.entities, ["körömvirág", "cickafark"]);
+  assert.equal(opener.query, "körömvirág cickafark És a gyökerét hogyan használjam?");
+
+  const pronoun = await rewriter.rewrite("Terhesen is ihatom ezt?", HISTORY);
+  assert.equal(pronoun.method, "carryover");
+});
+
+test("a question about a new herb stands on its own", async () => {
+  for (const question of ["Mire jó a gyermekláncfű?", "És a bodza?", "What about elder?"]) {
+    const out = await rewriter.rewrite(question, HISTORY);
+    assert.deepEqual(out, { query: question, method: "none", entities: [] }, question);
+  }
+});
+
+test("a question that doesn't point back isn't rewritten", async () => {
+  const out = await rewriter.rewrite("Milyen teát igyak alvás előtt?", HISTORY);
+  assert.equal(out.method, "none");
+  assert.equal(out.query, "Milyen teát igyak alvás előtt?");
+});
+
+test("without herbs earlier, a follow-up gets the previous question", async () => {
+  const history = [{ role: "user", content: "Hogyan készül a hideg áztatás?" }];
+  const out = await rewriter.rewrite("És meddig áll el?", history);
+  assert.equal(out.query, "Hogyan készül a hideg áztatás? És meddig áll el?");
+});
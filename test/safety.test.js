@@ -0,0 +1,92 @@
+// test/safety.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createSafety, createSafetyLog } from "../lib/safety.js";
+
+const RULES = fileURLToPath(new URL("../prompts/safety.json", import.meta.url));
+const safety = createSafety(RULES);
+const categories = (question) => safety.screen(question).triggers.map((t) => t.category);
+
+test("herb names that contain a trigger word don't trigger", () => {
+  assert.deepEqual(categories("Mire jó a gyermekláncfű?"), []);
+  assert.equal(safety.screen("Mire jó a gyermekláncfű gyökere?").strict, false);
+});
+
+test("children are recognised by word and by age", () => {
+  assert.deepEqual(categories("Adhatok kamillát a gyermekemnek?"), ["pregnancy_children"]);
+  assert.deepEqual(categories("Can I give chamomile to my 2 year old?"), ["pregnancy_children"]);
+  assert.deepEqual(categories("My 18-month-old has a cough"), ["pregnancy_children"]);
+  assert.deepEqual(categories("A 3 éves fiamnak adhatok kakukkfüvet?"), ["pregnancy_children"]);
+  assert.deepEqual(categories("A 6 hónapos babámnak jó a kamilla?"), ["pregnancy_children"]);
+  assert.equal(safety.screen("Can I give chamomile to my 2 year old?").strict, true);
+});
+
+test("adult ages are not children", () => {
+  assert.deepEqual(categories("45 éves vagyok, jó nekem a csalán?"), []);
+  assert.deepEqual(categories("I'm a 35 year old runner, is nettle good for me?"), []);
+});
+
+test("stroke needs a medical context", () => {
+  const luck = safety.screen("What a stroke of luck — is chamomile good for sleep?");
+  assert.deepEqual(luck.triggers, []);
+  assert.equal(luck.response, null);
+
+  const emergency = safety.screen("I think my dad is having a stroke, his face droops");
+  assert.deepEqual(emergency.triggers.map((t) => t.category), ["emergency"]);
+  assert.match(emergency.response, /112/);
+  assert.deepEqual(categories("What are the signs of a stroke?"), ["emergency"]);
+});
+
+test("dose questions with mennyi and mennyit", () => {
+  assert.deepEqual(categories("Mennyi kamillateát igyak naponta?"), ["dosage"]);
+  assert.deepEqual(categories("Mennyit kell szedjek a tinktúrából?"), ["dosage"]);
+  assert.deepEqual(categories("How much nettle tea should I drink?"), ["dosage"]);
+  assert.equal(safety.screen("Mennyi kamillateát igyak naponta?").strict, true);
+  assert.deepEqual(categories("Mennyi ideig tart a forrázás?"), []);
+});
+
+test("medication compounds count as interaction", () => {
+  assert.deepEqual(categories("Altatógyógyszert szedek, ihatok macskagyökeret?"), ["interaction"]);
+  assert.deepEqual(categories("I take warfarin, is ginger safe?"), ["interaction"]);
+});
+
+test("the answer check keeps recipe amounts unless the turn is strict", () => {
+  const recipe = "Tegyél 2 teáskanál kamillát egy csészébe. Igyál meg 1 csészét lefekvés előtt.";
+  assert.deepEqual(safety.checkAnswer(recipe).doses, []);
+  assert.deepEqual(safety.checkAnswer(recipe, { strict: true }).doses, ["Igyál meg 1 csészét lefekvés előtt."]);
+
+  const { text, doses } = safety.checkAnswer("Naponta 3 csészét ajánlok. A kamilla nyugtat.");
+  assert.equal(doses.length, 1);
+  assert.ok(!/3 csészét/.test(text));
+  assert.match(text, /A kamilla nyugtat\.$/);
+});
+
+test("the safety log skips torn lines and purges right after an append", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zm-safety-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "safety-triggers.jsonl");
+  fs.writeFileSync(file, '{"stage":"pre","convKey":"a","categories":["dosage"]}\n{"stage":"pre","conv');
+  fs.appendFileSync(file, "\n");
+  const log = createSafetyLog(file);
+  t.mock.method(console, "warn", () => {});
+
+  log({ stage: "pre", convKey: "b", categories: ["emergency"] });
+  assert.equal(log.purge((e) => e.convKey === "b"), 1);
+  const { total, events } = log.recent(10);
+  assert.equal(total, 1);
+  assert.deepEqual(events.map((e) => e.convKey), ["a"]);
+});
+
+test("without a file the safety log keeps its entries in memory", (t) => {
+  const log = createSafetyLog(null);
+  t.mock.method(console, "warn", () => {});
+  log({ stage: "pre", convKey: "a", categories: ["dosage"] });
+  log({ stage: "post", convKey: "b", categories: ["dosage"] });
+  assert.deepEqual(log.recent(1).events.map((e) => e.convKey), ["b"]);
+  assert.equal(log.purge((e) => e.convKey === "a"), 1);
+  assert.equal(log.recent().total, 1);
+});
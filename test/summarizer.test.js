@@ -0,0 +1,62 @@
+// test/summarizer.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { createGlossary } from "../lib/glossary.js";
+import { createPromptRegistry } from "../lib/prompt.js";
+import { createSummarizer } from "../lib/summarizer.js";
+
+const glossary = createGlossary(fileURLToPath(new URL("../kb/glossary.json", import.meta.url)));
+const prompts = createPromptRegistry({ dir: fileURLToPath(new URL("../prompts", import.meta.url)) });
+prompts.load({ requiredTemplates: ["summary.hu", "summary.en"] });
+const instructions = (lang) => prompts.render(`summary.${lang}`, { lang }).text;
+
+/** A chat backend that records what it was asked */
+function recordingProvider() {
+  const inputs = [];
+  return {
+    inputs,
+    config: { chat: { backend: "test" } },
+    chat: {
+      async complete({ input }) {
+        inputs.push(input);
+        return { text: "Summary.", usage: { output_tokens: 2 } };
+      },
+    },
+  };
+}
+
+const TURNS = [
+  { role: "user", content: "What is nettle good for?" },
+  { role: "assistant", content: "Nettle is a nourishing herb." },
+];
+
+test("the summary prompt follows the conversation's language", async () => {
+  const provider = recordingProvider();
+  const summarizer = createSummarizer({ provider, glossary, instructions });
+  await summarizer.fold(null, TURNS, { lang: "en" });
+  await summarizer.fold(null, TURNS, { lang: "hu" });
+
+  const [en, hu] = provider.inputs;
+  assert.match(en[0].content, /^Update the running summary/);
+  assert.match(en[1].content, /^Summary so far:\n\(none\)/);
+  assert.match(en[1].content, /Student: What is nettle good for\?/);
+  assert.match(hu[0].content, /^Frissítsd/);
+  assert.match(hu[1].content, /Tanuló: What is nettle good for\?/);
+});
+
+test("without a summary prompt the extractive summary is used, in the same language", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const provider = recordingProvider();
+  const summarizer = createSummarizer({ provider, glossary });
+  const { summary, usage } = await summarizer.fold(null, TURNS, { lang: "en" });
+  assert.equal(provider.inputs.length, 0);
+  assert.equal(usage, null);
+  assert.equal(summary.method, "extractive");
+  assert.equal(summary.text, "Earlier questions: What is nettle good for?");
+  assert.deepEqual(summary.herbs, ["Urtica dioica"]);
+
+  const message = summarizer.toSystemMessage(summary, { lang: "en" });
+  assert.match(message.content, /^SUMMARY OF THE EARLIER CONVERSATION/);
+  assert.match(message.content, /Herbs discussed: Urtica dioica/);
+});
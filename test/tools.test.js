@@ -0,0 +1,110 @@
+// test/tools.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createProvider } from "../lib/provider.js";
+import { completeWithTools, streamWithTools, toolMessages, MAX_TOOL_ROUNDS } from "../lib/tools.js";
+
+const TOOL = {
+  name: "lookup_herb",
+  description: "Look up a herb",
+  parameters: { type: "object", properties: { name: { type: "string" } }, required: ["name"] },
+};
+
+const echo = () =>
+  createProvider({ chat: { backend: "echo", model: "echo" }, embeddings: { backend: "hash", dim: 256 } }).chat;
+
+/** A chat that asks for a tool every time it may, and records the toolChoice it got */
+function insistentChat() {
+  const choices = [];
+  const call = (n) => [{ id: `call_${n}`, name: TOOL.name, arguments: '{"name":"csalán"}' }];
+  return {
+    choices,
+    async complete({ toolChoice }) {
+      choices.push(toolChoice);
+      const n = choices.length;
+      return toolChoice === "none"
+        ? { text: `answer after ${n - 1} rounds`, toolCalls: [], usage: { output_tokens: 1 } }
+        : { text: "", toolCalls: call(n), usage: { output_tokens: 1 } };
+    },
+    async *stream({ toolChoice }) {
+      choices.push(toolChoice);
+      if (toolChoice === "none") yield { type: "delta", text: "answer" };
+      else yield { type: "tool_calls", calls: call(choices.length) };
+      yield { type: "done", usage: { output_tokens: 1 } };
+    },
+  };
+}
+
+test("toolMessages pairs the calls with their results", () => {
+  const calls = [{ id: "a", name: "lookup_herb", arguments: "{}" }];
+  assert.deepEqual(toolMessages(calls, (call) => `result for ${call.id}`), [
+    { role: "assistant", content: "", toolCalls: calls },
+    { role: "tool", toolCallId: "a", content: "result for a" },
+  ]);
+});
+
+test("the echo backend calls the tool once, then answers with its result in the input", async () => {
+  const ran = [];
+  const usage = [];
+  const text = await completeWithTools(echo(), {
+    input: [{ role: "user", content: "Mire jó a csalán?" }],
+    tools: [TOOL],
+    run: (call) => {
+      ran.push(JSON.parse(call.arguments));
+      return "#1 FORRÁS: Hatas kurzus.txt";
+    },
+    onUsage: (u) => usage.push(u),
+  });
+  assert.deepEqual(ran, [{ name: "Mire jó a csalán?" }]);
+  assert.equal(usage.length, 2);
+  assert.equal(text, "[echo] Mire jó a csalán?\n\n#1 FORRÁS: Hatas kurzus.txt");
+});
+
+test("without tools the model is called once", async () => {
+  let ran = 0;
+  const text = await completeWithTools(echo(), { input: [{ role: "user", content: "Szia" }], run: () => ran++ });
+  assert.equal(text, "[echo] Szia");
+  assert.equal(ran, 0);
+});
+
+test("after maxRounds of tool calls the model has to answer", async () => {
+  for (const maxRounds of [0, 1, MAX_TOOL_ROUNDS]) {
+    const chat = insistentChat();
+    let ran = 0;
+    const text = await completeWithTools(chat, {
+      input: [{ role: "user", content: "?" }],
+      tools: [TOOL],
+      run: () => `result ${++ran}`,
+      maxRounds,
+    });
+    assert.deepEqual(chat.choices, [...Array(maxRounds).fill("auto"), "none"]);
+    assert.equal(ran, maxRounds);
+    assert.equal(text, `answer after ${maxRounds} rounds`);
+  }
+});
+
+test("streamWithTools reports each tool round and stops at the limit", async () => {
+  const chat = insistentChat();
+  const events = [];
+  for await (const event of streamWithTools(chat, { input: [], tools: [TOOL], run: () => "ok" })) {
+    events.push(event.type === "tool_results" ? `tools:${event.calls[0].id}` : event.type);
+  }
+  assert.deepEqual(chat.choices, ["auto", "auto", "none"]);
+  assert.deepEqual(events, ["done", "tools:call_1", "done", "tools:call_2", "delta", "done"]);
+});
+
+test("streamWithTools with the echo backend streams the answer after the lookup", async () => {
+  let text = "";
+  let rounds = 0;
+  const stream = streamWithTools(echo(), {
+    input: [{ role: "user", content: "Mire jó a csalán?" }],
+    tools: [TOOL],
+    run: () => "#1 FORRÁS: Hatas kurzus.txt",
+  });
+  for await (const event of stream) {
+    if (event.type === "delta") text += event.text;
+    if (event.type === "tool_results") rounds++;
+  }
+  assert.equal(rounds, 1);
+  assert.equal(text, "[echo] Mire jó a csalán?\n\n#1 FORRÁS: Hatas kurzus.txt");
+});
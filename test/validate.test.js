@@ -0,0 +1,106 @@
+// test/validate.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ValidationError,
+  validate,
+  validateBody,
+  object,
+  string,
+  boolean,
+  array,
+  anyOf,
+  anyObject,
+  optional,
+} from "../lib/validate.js";
+
+const errorsOf = (schema, value) => {
+  try {
+    validate(schema, value);
+  } catch (e) {
+    assert.ok(e instanceof ValidationError);
+    assert.equal(e.status, 400);
+    return e.errors;
+  }
+  assert.fail("expected a ValidationError");
+};
+
+const message = object({
+  role: string({ oneOf: ["user", "assistant"] }),
+  content: string({ min: 1, max: 10 }),
+});
+
+test("valid input comes back cleaned", () => {
+  const schema = object({ comment: optional(string({ max: 20, trim: true })), stream: optional(boolean()) });
+  assert.deepEqual(validate(schema, { comment: "  hi  ", stream: true }), { comment: "hi", stream: true });
+  assert.deepEqual(validate(schema, { comment: null }), {});
+});
+
+test("every problem is reported with its path", () => {
+  const schema = object({ messages: array(message, { min: 1 }) });
+  assert.deepEqual(
+    errorsOf(schema, { messages: [{ role: "user", content: "ok" }, { role: "system", content: "" }], extra: 1 }),
+    [
+      "extra: is not allowed",
+      "messages[1].role: must be one of user, assistant",
+      "messages[1].content: must not be empty",
+    ]
+  );
+});
+
+test("type, length and format errors", () => {
+  assert.deepEqual(errorsOf(object({ a: string() }), { a: 5 }), ["a: must be a string"]);
+  assert.deepEqual(errorsOf(object({ a: string({ max: 3 }) }), { a: "abcd" }), ["a: must be at most 3 characters"]);
+  assert.deepEqual(errorsOf(object({ a: string({ min: 2 }) }), { a: "a" }), ["a: must be at least 2 characters"]);
+  assert.deepEqual(errorsOf(object({ a: string({ pattern: /^\d+$/ }) }), { a: "x1" }), ["a: has an invalid format"]);
+  assert.deepEqual(errorsOf(object({ a: boolean() }), { a: "yes" }), ["a: must be true or false"]);
+  assert.deepEqual(errorsOf(object({ a: string() }), {}), ["a: is required"]);
+});
+
+test("non-objects and oversized arrays are rejected without looking inside", () => {
+  assert.deepEqual(errorsOf(object({}), []), ["body: must be a JSON object"]);
+  assert.deepEqual(errorsOf(object({}), "text"), ["body: must be a JSON object"]);
+  assert.deepEqual(errorsOf(object({ m: array(message, { max: 1 }) }), { m: [{}, {}] }), [
+    "m: must have at most 1 items",
+  ]);
+  assert.deepEqual(errorsOf(object({ m: array(message) }), { m: {} }), ["m: must be an array"]);
+});
+
+test("anyOf reports its own message when no schema passes", () => {
+  const schema = object({ id: anyOf([string({ min: 1 }), array(string())], "must be a string or a list of strings") });
+  assert.deepEqual(validate(schema, { id: ["a"] }), { id: ["a"] });
+  assert.deepEqual(errorsOf(schema, { id: 3 }), ["id: must be a string or a list of strings"]);
+});
+
+test("anyObject only checks the serialized size", () => {
+  assert.deepEqual(validate(anyObject({ maxBytes: 20 }), { any: 1 }), { any: 1 });
+  assert.deepEqual(errorsOf(anyObject({ maxBytes: 10 }), { text: "0123456789" }), ["body: must be at most 10 bytes"]);
+});
+
+test("validateBody answers 400 and skips the handler", () => {
+  const middleware = validateBody(object({ rating: string({ oneOf: ["up", "down"] }) }));
+  let sent = null;
+  const res = {
+    status(code) {
+      sent = { code };
+      return this;
+    },
+    json(body) {
+      sent.body = body;
+    },
+  };
+  let called = false;
+  middleware({ body: { rating: "meh" } }, res, () => (called = true));
+  assert.equal(called, false);
+  assert.equal(sent.code, 400);
+  assert.deepEqual(sent.body, {
+    ok: false,
+    error: "Invalid request body",
+    details: ["rating: must be one of up, down"],
+  });
+
+  const req = { body: undefined };
+  validateBody(object({ note: optional(string()) }))(req, res, () => (called = true));
+  assert.equal(called, true);
+  assert.deepEqual(req.body, {});
+});
@@ -0,0 +1,15 @@
+// test/vector_index.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { packVectors, normalizeQuery, topK } from "../lib/vector_index.js";
+
+test("missing, zero and wrong-length rows are never returned", () => {
+  const index = packVectors([[1, 0], null, [0, 0], [1, 0, 0], [0, 1]], 2);
+  assert.equal(index.skipped, 3);
+  assert.deepEqual([...index.empty], [0, 1, 1, 1, 0]);
+
+  // Every real row scores below zero here, which the empty rows would beat
+  const q = normalizeQuery([-1, -0.5]);
+  assert.deepEqual(topK(index, q, 5).map(([i]) => i), [4, 0]);
+  assert.deepEqual(topK(index, q, 5, (i) => i !== 4).map(([i]) => i), [0]);
+});
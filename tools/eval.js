@@ -0,0 +1,287 @@
+// tools/eval.js (RETRIEVAL EVALUATION)
+// Usage: node tools/eval.js [--gold eval/gold.v1.json] [--k 6] [--a <config>] [--b <config>]
+//                           [--offline [--allow-keyword-only]] [--min-recall 0.8] [--verbose] [--json]
+//   <config>  a JSON file or inline "alpha=0.7,k_kw=40,kb=kb-next,mmrLambda=1";
+//             kb / embedModel / glossary ("off" or a path) pick the retriever setup,
+//             every other key is passed to search(). --b adds a side-by-side run.
+//   --offline        never call the embedding API; queries missing from the cache
+//                    run keyword-only and the run fails (exit 1), unless
+//   --allow-keyword-only  is given too (the scores are then keyword-only for those)
+//   --min-recall x   exit 1 when recall@k of the last config is below x (CI gate)
+// Query embeddings are cached in eval/cache/<model>.json, so after one online run
+// the evaluation is fully offline and repeatable. A fresh checkout has no cache:
+// create it once with the embedding API reachable and commit the file,
+//   OPENAI_API_KEY=sk-… npm run eval        (writes eval/cache/text-embedding-3-small.json)
+// after which `npm run eval -- --offline` works anywhere. Gold targets name a source
+// file; sources the KB doesn't contain are reported (see the gold file's notes).
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { loadKB, normalize } from "../lib/kb_loader.js";
+import { createRetriever } from "../lib/retriever.js";
+import { createGlossary } from "../lib/glossary.js";
+import { createProvider } from "../lib/provider.js";
+
+const ROOT = process.cwd();
+const CACHE_DIR = path.join(ROOT, "eval", "cache");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const GOLD_PATH = path.resolve(arg("gold", path.join("eval", "gold.v1.json")));
+const K = Number(arg("k", 6));
+const OFFLINE = process.argv.includes("--offline");
+const ALLOW_KEYWORD_ONLY = process.argv.includes("--allow-keyword-only");
+const VERBOSE = process.argv.includes("--verbose");
+const AS_JSON = process.argv.includes("--json");
+const MIN_RECALL = arg("min-recall", null);
+
+// ——————————————————————————————————————
+
+function parseValue(v) {
+  if (v === "true") return true;
+  if (v === "false") return false;
+  return v !== "" && !Number.isNaN(Number(v)) ? Number(v) : v;
+}
+
+/** "alpha=0.7,k_kw=40" or a JSON file → { label, kb, embedModel, glossary, search } */
+function parseConfig(spec) {
+  let raw = {};
+  if (spec && spec.endsWith(".json")) {
+    raw = JSON.parse(fs.readFileSync(spec, "utf8"));
+  } else if (spec) {
+    for (const pair of spec.split(",")) {
+      const [key, ...rest] = pair.split("=");
+      if (key.trim()) raw[key.trim()] = parseValue(rest.join("=").trim());
+    }
+  }
+  const { kb = "kb", embedModel = null, glossary = "kb/glossary.json", ...search } = raw;
+  return { label: spec || "default", kb, embedModel, glossary, search };
+}
+
+/** Embedding cache: one JSON file per model, keyed by sha1 of the query text */
+function createEmbeddingCache(model) {
+  const file = path.join(CACHE_DIR, `${model.replace(/[^\w.-]+/g, "_")}.json`);
+  let entries = {};
+  let exists = false;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8"));
+    exists = true;
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`⚠️  Ignoring unreadable ${path.relative(ROOT, file)}: ${e.message}`);
+  }
+  let dirty = false;
+  const key = (text) => crypto.createHash("sha1").update(text).digest("hex");
+  return {
+    file,
+    exists,
+    get: (text) => entries[key(text)] || null,
+    set(text, vec) {
+      entries[key(text)] = Array.from(vec, (v) => Math.round(v * 1e6) / 1e6);
+      dirty = true;
+    },
+    save() {
+      if (!dirty) return;
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(entries));
+      console.log(`Saved ${Object.keys(entries).length} cached query embeddings to ${path.relative(ROOT, file)}`);
+    },
+  };
+}
+
+/**
+ * Provider whose embedders answer from the cache first; misses go to the
+ * real backend (and are stored) unless --offline.
+ */
+function createCachedProvider(stats) {
+  const real = createProvider();
+  const caches = [];
+  return {
+    config: real.config,
+    get chat() {
+      return real.chat;
+    },
+    embeddings(model) {
+      const inner = real.embeddings(model);
+      if (inner.backend === "hash") return inner; // deterministic and local already
+      const cache = createEmbeddingCache(inner.model);
+      if (OFFLINE && !cache.exists && !ALLOW_KEYWORD_ONLY) {
+        console.error(
+          `❌ --offline needs the query embedding cache ${path.relative(ROOT, cache.file)}, which doesn't exist. ` +
+            `Create it once online (OPENAI_API_KEY=… npm run eval) and commit it, or pass --allow-keyword-only.`
+        );
+        process.exit(1);
+      }
+      caches.push(cache);
+      return {
+        ...inner,
+        async embed(texts) {
+          const vectors = [];
+          for (const text of texts) {
+            let vec = cache.get(text);
+            if (!vec) {
+              if (OFFLINE) {
+                stats.misses.add(text);
+                throw new Error("query embedding not cached (--offline)");
+              }
+              try {
+                vec = (await inner.embed([text])).vectors[0];
+              } catch (e) {
+                stats.misses.add(text);
+                throw e;
+              }
+              cache.set(text, vec);
+            }
+            vectors.push(vec);
+          }
+          return { vectors, usage: null, model: inner.model };
+        },
+      };
+    },
+    saveCaches: () => caches.forEach((c) => c.save()),
+  };
+}
+
+/** Does this hit satisfy a gold target? (merged hits carry several ids) */
+function matchesTarget(hit, target) {
+  if (target.id) return (hit.ids || [hit.id]).includes(target.id);
+  if (target.source && hit.source !== target.source) return false;
+  if (target.section) {
+    const want = normalize(target.section);
+    if (!(hit.section || []).some((s) => normalize(s).includes(want))) return false;
+  }
+  if (target.contains && !normalize(hit.text).includes(normalize(target.contains))) return false;
+  return true;
+}
+
+/**
+ * recall@k: share of targets found in the top k
+ * rr:       1 / rank of the first relevant hit (0 if none)
+ * ndcg@k:   binary gain, a hit only counts for a target not found above it
+ */
+function scoreQuestion(hits, targets) {
+  const found = new Set();
+  let firstRank = null;
+  let dcg = 0;
+  hits.slice(0, K).forEach((hit, i) => {
+    const newlyFound = targets.findIndex((t, ti) => !found.has(ti) && matchesTarget(hit, t));
+    if (newlyFound < 0) return;
+    found.add(newlyFound);
+    if (firstRank == null) firstRank = i + 1;
+    dcg += 1 / Math.log2(i + 2);
+  });
+  let idcg = 0;
+  for (let i = 0; i < Math.min(targets.length, K); i++) idcg += 1 / Math.log2(i + 2);
+  return {
+    recall: targets.length ? found.size / targets.length : 0,
+    rr: firstRank ? 1 / firstRank : 0,
+    ndcg: idcg ? dcg / idcg : 0,
+    firstRank,
+  };
+}
+
+async function runConfig(config, gold, provider, stats) {
+  const kb = loadKB(path.resolve(ROOT, config.kb));
+  const glossary = config.glossary === "off" ? null : createGlossary(path.resolve(ROOT, config.glossary));
+  const retriever = createRetriever(kb, { provider, embedModel: config.embedModel, glossary });
+
+  const kbSources = new Set(kb.chunks.map((c) => c.source));
+  const goldSources = new Set(gold.questions.flatMap((q) => q.expect.map((t) => t.source).filter(Boolean)));
+
+  stats.misses = new Set();
+  const perQuestion = [];
+  for (const q of gold.questions) {
+    const hits = await retriever.search(q.q, { ...config.search, k: K });
+    perQuestion.push({ id: q.id, lang: q.lang, ...scoreQuestion(hits, q.expect) });
+  }
+  const mean = (key) => perQuestion.reduce((a, r) => a + r[key], 0) / (perQuestion.length || 1);
+  return {
+    label: config.label,
+    semantic: retriever.embeddingInfo().semanticEnabled,
+    keywordOnlyQueries: stats.misses.size,
+    missingSources: [...goldSources].filter((s) => !kbSources.has(s)),
+    recall: mean("recall"),
+    mrr: mean("rr"),
+    ndcg: mean("ndcg"),
+    perQuestion,
+  };
+}
+
+const fmt = (x) => x.toFixed(3);
+const signed = (x) => (x >= 0 ? "+" : "") + x.toFixed(3);
+
+function printReport(gold, results) {
+  console.log(`\nGold set: ${path.relative(ROOT, GOLD_PATH)} (v${gold.version}, ${gold.questions.length} questions), k=${K}`);
+  results.forEach((r, i) => {
+    const semantic = !r.semantic
+      ? "keyword-only"
+      : r.keywordOnlyQueries
+        ? `⚠️  ${r.keywordOnlyQueries} queries without an embedding ran keyword-only`
+        : "hybrid";
+    console.log(`  ${"AB"[i]} = ${r.label} (${semantic})`);
+    if (r.missingSources.length) {
+      console.log(`      ⚠️  gold sources not in this KB (their questions can only miss): ${r.missingSources.join(", ")}`);
+    }
+  });
+  const [a, b] = results;
+  const col = (s) => String(s).padEnd(12);
+  console.log("");
+  console.log(col("metric") + col("A") + (b ? col("B") + "Δ" : ""));
+  for (const [name, key] of [[`recall@${K}`, "recall"], ["MRR", "mrr"], [`nDCG@${K}`, "ndcg"]]) {
+    console.log(col(name) + col(fmt(a[key])) + (b ? col(fmt(b[key])) + signed(b[key] - a[key]) : ""));
+  }
+
+  const rank = (r) => (r.firstRank ? `#${r.firstRank}` : "miss");
+  const rows = a.perQuestion
+    .map((ra, i) => ({ id: ra.id, a: ra, b: b?.perQuestion[i] }))
+    .filter((r) => VERBOSE || (r.b ? r.a.firstRank !== r.b.firstRank : !r.a.firstRank));
+  if (rows.length) {
+    console.log(`\n${b ? "Questions whose first relevant rank changed" : "Missed questions"}${VERBOSE ? " (all)" : ""}:`);
+    for (const r of rows) {
+      console.log(`  ${r.id.padEnd(28)} A: ${rank(r.a).padEnd(6)}${r.b ? ` B: ${rank(r.b)}` : ""}`);
+    }
+  }
+}
+
+async function main() {
+  const gold = JSON.parse(fs.readFileSync(GOLD_PATH, "utf8"));
+  const configs = [parseConfig(arg("a", null))];
+  if (arg("b", null)) configs.push(parseConfig(arg("b", null)));
+
+  const stats = { misses: new Set() };
+  const provider = createCachedProvider(stats);
+  const results = [];
+  for (const config of configs) results.push(await runConfig(config, gold, provider, stats));
+  provider.saveCaches();
+
+  if (AS_JSON) {
+    console.log(JSON.stringify({ gold: { path: GOLD_PATH, version: gold.version }, k: K, results }, null, 2));
+  } else {
+    printReport(gold, results);
+  }
+
+  const keywordOnly = results.reduce((n, r) => n + r.keywordOnlyQueries, 0);
+  if (OFFLINE && keywordOnly && !ALLOW_KEYWORD_ONLY) {
+    console.error(
+      `\n❌ ${keywordOnly} queries have no cached embedding in ${path.relative(ROOT, CACHE_DIR)}/ and ran keyword-only. ` +
+        "Run once without --offline to fill the cache, or pass --allow-keyword-only."
+    );
+    process.exit(1);
+  }
+
+  if (MIN_RECALL != null) {
+    const last = results[results.length - 1];
+    if (last.recall < Number(MIN_RECALL)) {
+      console.error(`\n❌ recall@${K} ${fmt(last.recall)} is below --min-recall ${MIN_RECALL}`);
+      process.exit(1);
+    }
+    console.log(`\n✅ recall@${K} ${fmt(last.recall)} ≥ ${MIN_RECALL}`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
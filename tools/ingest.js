@@ -1,46 +1,168 @@
-// tools/ingest.js (FAST SHARDING)
+// tools/ingest.js (INCREMENTAL, CONTENT-ADDRESSED SHARDING)
+// Usage: node tools/ingest.js [--dry-run] [--binary] [--prune] [--herbs-only]
+//   --binary      store vectors as raw float32 next to each shard (kb_store-000.vec.bin)
+//   --prune       drop chunks whose source file is no longer in kb/ (kept by default:
+//                 shards may hold sources that only exist there, e.g. legacy ones)
+//   --herbs-only  only rebuild kb/herbs.json (herb index) from the shards on disk,
+//                 e.g. after editing kb/glossary.json
 import fs from "fs";
 import path from "path";
 import zlib from "zlib";
-import OpenAI from "openai";
+import crypto from "crypto";
+import { readShard } from "../lib/kb_loader.js";
+import { chunkDocument, CHUNK_DEFAULTS } from "../lib/chunker.js";
+import { isSourceFile, parseSource } from "../lib/source_formats.js";
+import { createProvider } from "../lib/provider.js";
+import { buildHerbIndex, HERB_INDEX_FILE } from "../lib/herbs.js";
 
-const SRC_DIR = path.join(process.cwd(), "kb");
+const KB_DIR = path.join(process.cwd(), "kb"); // sources in, shards out
 const OUT_PREFIX = "kb_store-"; // kb_store-000.json.gz, 001, ...
+const SOURCE_INDEX = "sources.json"; // per-source hash, chunk count, ingest time
+const GLOSSARY_PATH = process.env.GLOSSARY_PATH || path.join(KB_DIR, "glossary.json");
 
-// Tweakables
-const EMB_MODEL = "text-embedding-3-small"; // 1536-dim
-const CHUNK_SIZE = 900;
-const CHUNK_OVERLAP = 150;
+// Tweakables (embedding backend/model come from env, see lib/provider.js;
+// OFFLINE=1 builds a KB with the built-in hash embedder)
+const embedder = createProvider().embeddings();
+const EMB_MODEL = embedder.model; // default text-embedding-3-small, 1536-dim
+const CHUNKING = { ...CHUNK_DEFAULTS }; // size band, see lib/chunker.js
 const DECIMALS = 4;           // round embeddings for smaller files
 const SHARD_COUNT_TARGET = 2500; // ~2500 chunks per shard (fast + well under 100MB gz)
 
+const DRY_RUN = process.argv.includes("--dry-run");
+const BINARY = process.argv.includes("--binary");
+const PRUNE = process.argv.includes("--prune");
+const HERBS_ONLY = process.argv.includes("--herbs-only");
+
 // ——————————————————————————————————————
 
-if (!process.env.OPENAI_API_KEY) {
-  console.error("Missing OPENAI_API_KEY env var.");
-  process.exit(1);
+function sha1(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
 }
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+/** Read every supported source in kb/ and turn it into chunk records */
+function loadSourceFiles() {
+  if (!fs.existsSync(KB_DIR)) fs.mkdirSync(KB_DIR, { recursive: true });
+  const files = fs.readdirSync(KB_DIR).filter(isSourceFile).sort();
+  const docs = [];
+  for (const file of files) {
+    const full = fs.readFileSync(path.join(KB_DIR, file), "utf8");
+    const sourceHash = sha1(full);
+    const parsed = parseSource(file, full);
 
-function chunk(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
-  const chunks = [];
-  for (let i = 0; i < text.length; i += (size - overlap)) {
-    chunks.push(text.slice(i, i + size));
+    // JSONL records are already split; everything else goes through the chunker
+    const parts = parsed.records
+      ? parsed.records.map((r, i) => ({
+          key: r.id ?? i,
+          text: r.text,
+          section: r.section,
+          position: { index: i, start: null, end: null },
+          meta: r.meta,
+        }))
+      : chunkDocument(parsed.text, CHUNKING).map((c, i) => ({ ...c, key: i, meta: parsed.meta }));
+
+    for (const c of parts) {
+      docs.push({
+        id: `${file}#${c.key}`,
+        source: file,
+        sourceHash,
+        hash: sha1(c.text),
+        text: c.text,
+        section: c.section,
+        position: c.position,
+        meta: c.meta,
+      });
+    }
   }
-  return chunks;
+  return docs;
 }
 
-function loadTxtFiles() {
-  if (!fs.existsSync(SRC_DIR)) fs.mkdirSync(SRC_DIR, { recursive: true });
-  const files = fs.readdirSync(SRC_DIR).filter(f => f.endsWith(".txt"));
-  const docs = [];
-  for (const file of files) {
-    const full = fs.readFileSync(path.join(SRC_DIR, file), "utf8");
-    const parts = chunk(full);
-    parts.forEach((c, i) => docs.push({ id: `${file}#${i}`, source: file, text: c }));
+function listShardFiles() {
+  if (!fs.existsSync(KB_DIR)) return [];
+  return fs.readdirSync(KB_DIR).filter(f => f.endsWith(".json.gz")).sort();
+}
+
+function listVectorFiles() {
+  if (!fs.existsSync(KB_DIR)) return [];
+  return fs.readdirSync(KB_DIR).filter(f => f.endsWith(".vec.bin")).sort();
+}
+
+/**
+ * Index the embeddings already on disk by chunk hash. Only shards whose
+ * manifest says they were built with EMB_MODEL are reusable; legacy shards
+ * (no manifest) are counted but always re-embedded.
+ */
+function loadExisting() {
+  const byHash = new Map();
+  const previous = []; // { hash, source }
+  const stored = []; // the chunk records, for sources that are no longer on disk
+  const formats = new Set(); // "binary" | "json" | "legacy"
+  for (const file of listShardFiles()) {
+    const { manifest, entries } = readShard(path.join(KB_DIR, file));
+    formats.add(!manifest ? "legacy" : manifest.vectors ? "binary" : "json");
+    const reusable = manifest?.embedding?.model === EMB_MODEL;
+    for (const e of entries) {
+      if (!e?.text) continue;
+      const hash = e.hash || sha1(e.text);
+      previous.push({ hash, source: e.source });
+      stored.push({ ...e, hash });
+      if (reusable && e.embedding && !byHash.has(hash)) byHash.set(hash, Array.from(e.embedding));
+    }
   }
-  return docs;
+  return { byHash, previous, stored, formats };
+}
+
+/** Chunks on disk whose source file is gone (re-ingest can't rebuild them) */
+function orphanChunks(docs, existing) {
+  const onDisk = new Set(docs.map(d => d.source));
+  return existing.stored
+    .filter(e => !onDisk.has(e.source))
+    .map(e => ({
+      id: e.id,
+      source: e.source,
+      sourceHash: e.sourceHash ?? null,
+      hash: e.hash,
+      text: e.text,
+      section: e.section,
+      position: e.position,
+      meta: e.meta,
+    }));
+}
+
+/** Compare the new chunk set with what is on disk */
+function diffChunks(docs, existing) {
+  const newHashes = new Set(docs.map(d => d.hash));
+  const oldHashes = new Set(existing.previous.map(p => p.hash));
+  const toEmbed = docs.filter(d => !existing.byHash.has(d.hash));
+
+  // A source counts as changed when its set of chunk hashes differs
+  const hashesBySource = (rows) => {
+    const m = new Map();
+    for (const r of rows) {
+      if (!m.has(r.source)) m.set(r.source, new Set());
+      m.get(r.source).add(r.hash);
+    }
+    return m;
+  };
+  const oldSources = hashesBySource(existing.previous);
+  const newSources = hashesBySource(docs);
+  const sameSet = (a, b) => a.size === b.size && [...a].every(h => b.has(h));
+  const sources = { added: [], changed: [], removed: [] };
+  for (const [src, hashes] of newSources) {
+    if (!oldSources.has(src)) sources.added.push(src);
+    else if (!sameSet(oldSources.get(src), hashes)) sources.changed.push(src);
+  }
+  for (const src of oldSources.keys()) {
+    if (!newSources.has(src)) sources.removed.push(src);
+  }
+
+  return {
+    toEmbed,
+    added: docs.filter(d => !oldHashes.has(d.hash)).length,
+    reused: docs.length - toEmbed.length,
+    reembedded: toEmbed.filter(d => oldHashes.has(d.hash)).length,
+    removed: [...oldHashes].filter(h => !newHashes.has(h)).length,
+    sources,
+  };
 }
 
 function roundEmbedding(arr, decimals = DECIMALS) {
@@ -53,49 +175,220 @@ function gzipJson(obj) {
   return zlib.gzipSync(Buffer.from(json));
 }
 
+function buildManifest(chunkCount, dim) {
+  return {
+    version: 1,
+    createdAt: new Date().toISOString(),
+    embedding: { model: EMB_MODEL, dim, decimals: DECIMALS },
+    chunking: { strategy: "structured", ...CHUNKING },
+    chunkCount,
+  };
+}
+
 function pad(n, width=3) {
   return String(n).padStart(width, "0");
 }
 
-async function main() {
-  const docs = loadTxtFiles();
-  if (docs.length === 0) {
-    console.log("No .txt files found in /kb. Add some first.");
-    return;
-  }
-  console.log(`Embedding ${docs.length} chunks with ${EMB_MODEL}...`);
-
-  const out = [];
+async function embedMissing(toEmbed, byHash) {
+  console.log(`Embedding ${toEmbed.length} chunks with ${EMB_MODEL}...`);
   const BATCH = 64;
-  for (let i = 0; i < docs.length; i += BATCH) {
-    const batch = docs.slice(i, i + BATCH);
-    const resp = await openai.embeddings.create({
-      model: EMB_MODEL,
-      input: batch.map(d => d.text)
+  for (let i = 0; i < toEmbed.length; i += BATCH) {
+    const batch = toEmbed.slice(i, i + BATCH);
+    const { vectors } = await embedder.embed(batch.map(d => d.text));
+    vectors.forEach((vec, j) => {
+      byHash.set(batch[j].hash, roundEmbedding(vec));
     });
-    resp.data.forEach((row, j) => {
-      out.push({
-        id: batch[j].id,
-        source: batch[j].source,
-        text: batch[j].text,
-        embedding: roundEmbedding(row.embedding)
-      });
-    });
-    console.log(`  → ${Math.min(i + BATCH, docs.length)} / ${docs.length}`);
+    console.log(`  → ${Math.min(i + BATCH, toEmbed.length)} / ${toEmbed.length}`);
   }
+}
 
-  // FAST SHARDING: split by count, gzip once per shard
-  let shardIdx = 0;
-  for (let start = 0; start < out.length; start += SHARD_COUNT_TARGET) {
+/**
+ * Write every shard to a temp file first, then rename into place and delete
+ * shard files that are no longer part of the KB. With --binary the vectors
+ * go to a float32 sidecar and the JSON only carries text + metadata.
+ */
+function writeShards(out) {
+  const written = [];
+  const stage = (fname, data) => {
+    const tmp = path.join(KB_DIR, `.${fname}.tmp`);
+    fs.writeFileSync(tmp, data);
+    written.push({ fname, tmp, size: data.length });
+  };
+
+  for (let start = 0, shardIdx = 0; start < out.length; start += SHARD_COUNT_TARGET, shardIdx++) {
     const end = Math.min(start + SHARD_COUNT_TARGET, out.length);
     const shard = out.slice(start, end);
-    const gz = gzipJson(shard);
+    const dim = shard[0].embedding.length;
+    const manifest = buildManifest(shard.length, dim);
     const fname = `${OUT_PREFIX}${pad(shardIdx)}.json.gz`;
-    fs.writeFileSync(path.join(process.cwd(), fname), gz);
-    console.log(`Saved ${fname} (${(gz.length/1024/1024).toFixed(1)} MB, ${shard.length} chunks)`);
-    shardIdx += 1;
+
+    if (BINARY) {
+      const vecName = `${OUT_PREFIX}${pad(shardIdx)}.vec.bin`;
+      const vecs = new Float32Array(shard.length * dim);
+      shard.forEach((c, i) => vecs.set(c.embedding, i * dim));
+      manifest.vectors = { file: vecName, dtype: "float32", dim, count: shard.length };
+      stage(vecName, Buffer.from(vecs.buffer));
+      const chunks = shard.map(({ embedding, ...rest }) => rest);
+      stage(fname, gzipJson({ manifest, chunks }));
+    } else {
+      stage(fname, gzipJson({ manifest, chunks: shard }));
+    }
+    console.log(`Prepared ${fname} (${shard.length} chunks${BINARY ? ", binary vectors" : ""})`);
   }
 
+  const keep = new Set(written.map(w => w.fname));
+  const stale = [...listShardFiles(), ...listVectorFiles()].filter(f => !keep.has(f));
+  for (const w of written) {
+    fs.renameSync(w.tmp, path.join(KB_DIR, w.fname));
+    console.log(`Saved kb/${w.fname} (${(w.size/1024/1024).toFixed(1)} MB)`);
+  }
+  for (const f of stale) {
+    fs.unlinkSync(path.join(KB_DIR, f));
+    console.log(`Removed stale kb/${f}`);
+  }
+}
+
+function readSourceIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(KB_DIR, SOURCE_INDEX), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+/** kb/sources.json: ingestedAt only moves forward for sources whose content changed */
+function writeSourceIndex(docs) {
+  const previous = readSourceIndex();
+  const now = new Date().toISOString();
+  const index = {};
+  for (const d of docs) {
+    if (!index[d.source]) {
+      const prev = previous[d.source];
+      index[d.source] = {
+        sourceHash: d.sourceHash,
+        chunks: 0,
+        ingestedAt: prev?.sourceHash === d.sourceHash ? prev.ingestedAt : now,
+      };
+    }
+    index[d.source].chunks++;
+  }
+  const tmp = path.join(KB_DIR, `.${SOURCE_INDEX}.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+  fs.renameSync(tmp, path.join(KB_DIR, SOURCE_INDEX));
+}
+
+/** Chunk texts as stored in the shards (for --herbs-only) */
+function loadShardChunks() {
+  const chunks = [];
+  for (const file of listShardFiles()) {
+    for (const e of readShard(path.join(KB_DIR, file)).entries) {
+      if (e?.text) chunks.push({ id: e.id, source: e.source, section: e.section, position: e.position, text: e.text });
+    }
+  }
+  return chunks;
+}
+
+/** kb/herbs.json: herb entities found in the chunks, described with glossary terms */
+function writeHerbIndex(chunks) {
+  let glossary = {};
+  try {
+    glossary = JSON.parse(fs.readFileSync(GLOSSARY_PATH, "utf8"));
+  } catch (e) {
+    console.warn(`⚠️  No glossary (${e.message}); herb index without actions/tissue states/preparations`);
+  }
+  const index = buildHerbIndex(chunks, glossary);
+  const tmp = path.join(KB_DIR, `.${HERB_INDEX_FILE}.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+  fs.renameSync(tmp, path.join(KB_DIR, HERB_INDEX_FILE));
+  console.log(`Saved kb/${HERB_INDEX_FILE} (${index.herbs.length} herbs)`);
+}
+
+/** The herb index is missing or older than the glossary it was built with */
+function herbIndexStale() {
+  try {
+    const built = fs.statSync(path.join(KB_DIR, HERB_INDEX_FILE)).mtimeMs;
+    return fs.existsSync(GLOSSARY_PATH) && fs.statSync(GLOSSARY_PATH).mtimeMs > built;
+  } catch {
+    return true;
+  }
+}
+
+async function main() {
+  if (HERBS_ONLY) {
+    const chunks = loadShardChunks();
+    if (!chunks.length) {
+      console.log("No shards in /kb yet. Run a full ingest first.");
+      return;
+    }
+    writeHerbIndex(chunks);
+    return;
+  }
+
+  const files = loadSourceFiles();
+  const existing = loadExisting();
+  const orphans = orphanChunks(files, existing);
+  const docs = PRUNE ? files : [...files, ...orphans];
+  const diff = diffChunks(docs, existing);
+
+  console.log(
+    `Chunks: ${docs.length} total — ${diff.added} added, ${diff.reused} unchanged (reused), ` +
+    `${diff.reembedded} re-embedded (model change/legacy), ${diff.removed} removed`
+  );
+  console.log(
+    `Sources: added [${diff.sources.added.join(", ")}], ` +
+    `changed [${diff.sources.changed.join(", ")}], removed [${diff.sources.removed.join(", ")}]`
+  );
+  if (orphans.length) {
+    const sources = [...new Set(orphans.map(o => o.source))];
+    console.log(
+      PRUNE
+        ? `Pruning ${orphans.length} chunks without a source file: [${sources.join(", ")}]`
+        : `Keeping ${orphans.length} chunks without a source file: [${sources.join(", ")}] (--prune drops them)`
+    );
+  }
+
+  if (DRY_RUN) {
+    console.log("Dry run — nothing embedded or written.");
+    return;
+  }
+  if (docs.length === 0) {
+    if (!listShardFiles().length && !listVectorFiles().length) {
+      console.log("No source files (.txt, .md, .html, .jsonl) found in /kb. Add some first.");
+      return;
+    }
+    // Every source was removed: the shards must go too, or the old KB stays live
+    console.log("No source files left in /kb — clearing the KB.");
+    writeShards([]);
+    writeSourceIndex([]);
+    writeHerbIndex([]);
+    console.log("Done. KB is empty.");
+    return;
+  }
+  const sameFormat = existing.formats.size === 1 && existing.formats.has(BINARY ? "binary" : "json");
+  if (sameFormat && diff.toEmbed.length === 0 && diff.removed === 0 && existing.previous.length === docs.length) {
+    if (!fs.existsSync(path.join(KB_DIR, SOURCE_INDEX))) writeSourceIndex(docs);
+    if (herbIndexStale()) writeHerbIndex(docs);
+    console.log("KB is up to date.");
+    return;
+  }
+
+  if (diff.toEmbed.length) await embedMissing(diff.toEmbed, existing.byHash);
+
+  const out = docs.map(d => ({
+    id: d.id,
+    source: d.source,
+    sourceHash: d.sourceHash,
+    hash: d.hash,
+    section: d.section,
+    position: d.position,
+    meta: d.meta,
+    text: d.text,
+    embedding: existing.byHash.get(d.hash),
+  }));
+  writeShards(out);
+  writeSourceIndex(docs);
+  writeHerbIndex(docs);
+
   console.log("Done. Sharded and compressed KB ready.");
 }
 
@@ -103,4 +396,3 @@ main().catch(e => {
   console.error(e);
   process.exit(1);
 });
-
@@ -0,0 +1,32 @@
+// tools/mint-token.js
+// Usage: node tools/mint-token.js <user-id> [--role student|instructor|admin] [--site <site>] [--days 30]
+// Prints a signed token for the Authorization: Bearer header (needs AUTH_SECRET).
+import dotenv from "dotenv";
+import { signToken, ROLES } from "../lib/auth.js";
+
+dotenv.config();
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const sub = process.argv[2];
+const role = arg("role", "student");
+const site = arg("site", undefined);
+const days = Number(arg("days", 30));
+
+if (!sub || sub.startsWith("--")) {
+  console.error("Usage: node tools/mint-token.js <user-id> [--role student|instructor|admin] [--site <site>] [--days 30]");
+  process.exit(1);
+}
+if (!ROLES.includes(role)) {
+  console.error(`Unknown role "${role}" (expected one of: ${ROLES.join(", ")})`);
+  process.exit(1);
+}
+if (!process.env.AUTH_SECRET) {
+  console.error("AUTH_SECRET is not set.");
+  process.exit(1);
+}
+
+console.log(signToken({ sub, role, ...(site ? { site } : {}) }, process.env.AUTH_SECRET, { ttlSeconds: days * 24 * 3600 }));